@@ -1,298 +1,3018 @@
 'use strict';
 
 var _ = require('lodash');
+var fs = require('fs');
+var crypto = require('crypto');
+var os = require('os');
+var url = require('url');
+var path = require('path');
+var http = require('http');
+var EventEmitter = require('events').EventEmitter;
 var Promise = require('bluebird');
 
+/**
+ * Names of adapter classes mapped to the dialect used for statements that
+ * Azul.js does not phrase itself. Adapters that are not listed (including
+ * subclasses of the base adapter) use standard SQL.
+ *
+ * @type {Object}
+ */
+var dialects = {
+  PGAdapter: 'pg',
+  MySQLAdapter: 'mysql',
+  SQLite3Adapter: 'sqlite3',
+};
+
+/**
+ * Determine the dialect for a database by walking up the class hierarchy of
+ * its adapter.
+ *
+ * @param {Database} db
+ * @return {String}
+ */
+var dialect = function(db) {
+  var cls = db.Model.adapter.__identity__;
+  while (cls && !_.has(dialects, cls.__name__)) { cls = cls.__super__; }
+  return cls ? dialects[cls.__name__] : 'standard';
+};
+
+/**
+ * Supported isolation levels.
+ *
+ * @type {Array.<String>}
+ */
+var isolationLevels = [
+  'read uncommitted',
+  'read committed',
+  'repeatable read',
+  'serializable',
+];
+
+/**
+ * Create a transaction mode from options.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.isolation] The isolation level.
+ * @param {Boolean} [options.readOnly]
+ * @return {{isolation: String, readOnly: Boolean}}
+ */
+var transactionMode = function(options) {
+  var opts = _.defaults({}, options, { readOnly: false });
+  var isolation = opts.isolation && _.snakeCase(opts.isolation).replace(/_/g, ' ');
+  if (isolation && !_.contains(isolationLevels, isolation)) {
+    throw new Error('Unknown isolation level: ' + opts.isolation);
+  }
+  return {
+    isolation: isolation && isolation.toUpperCase(),
+    readOnly: !!opts.readOnly,
+  };
+};
+
+/**
+ * Create a `SET TRANSACTION` statement for a transaction mode.
+ *
+ * @param {Object} mode
+ * @return {String} The statement or undefined if no characteristics of the
+ * transaction differ from the defaults.
+ */
+var setTransaction = function(mode) {
+  var characteristics = _.compact([
+    mode.isolation && 'ISOLATION LEVEL ' + mode.isolation,
+    mode.readOnly && 'READ ONLY',
+  ]);
+  return characteristics.length ?
+    'SET TRANSACTION ' + characteristics.join(', ') :
+    undefined;
+};
+
+/**
+ * Phrasing for the statements that put a transaction into a specific mode.
+ * For each dialect, this provides the statements to execute immediately
+ * `before` and `after` the `BEGIN` as well as statements to `reset` the
+ * connection once the transaction has been closed.
+ *
+ * @type {Object}
+ */
+var modePhrasing = {
+  standard: function(mode) {
+    return { after: _.compact([setTransaction(mode)]) };
+  },
+  mysql: function(mode) {
+    // mysql does not allow changes once the transaction has started, but the
+    // characteristics apply to the next transaction on the connection.
+    return { before: _.compact([setTransaction(mode)]) };
+  },
+  sqlite3: function(mode) {
+    // sqlite transactions are always serializable. dirty reads & read only
+    // access are configured on the connection, so they must be reset.
+    var pragmas = _.compact([
+      mode.isolation === 'READ UNCOMMITTED' && 'read_uncommitted',
+      mode.readOnly && 'query_only',
+    ]);
+    return {
+      before: pragmas.map(function(p) { return 'PRAGMA ' + p + ' = 1'; }),
+      reset: pragmas.map(function(p) { return 'PRAGMA ' + p + ' = 0'; }),
+    };
+  },
+};
+modePhrasing.pg = modePhrasing.standard;
+
+/**
+ * Override a protected member of an Azul.js query. Azul.js does not yet expose
+ * public hooks for observing execution, altering statements, or reaching the
+ * client that a query runs on, so the few places that need them go through
+ * this function. The members used (`_execute`, `_statement` & `_adapter`) are
+ * those of the Azul.js versions listed in `peerDependencies`.
+ *
+ * TODO: it would be a good idea to expose tested methods for these in the
+ * main azul project that we're sure will exist & remove this function.
+ *
+ * @param {BaseQuery} query
+ * @param {String} name The name of the member.
+ * @param {Function} override Called with the current value of the member &
+ * returns the replacement.
+ * @return {BaseQuery} The query.
+ */
+var overrideProtected = function(query, name, override) {
+  query[name] = override(query[name]);
+  return query;
+};
+
+/**
+ * Surround a transaction query (`BEGIN`, `COMMIT`, or `ROLLBACK`) with
+ * additional statements that need to be executed on the same client.
+ *
+ * @param {Database} db
+ * @param {BaseQuery} query
+ * @param {Array.<String>} [before]
+ * @param {Array.<String>} [after]
+ * @param {Array.<String>} [failed] Statements to run in place of `after` when
+ * `before` or the query fails. Errors from these are ignored in favor of the
+ * original error.
+ * @return {BaseQuery} The query.
+ */
+var surround = function(db, query, before, after, failed) {
+  if (_.isEmpty(before) && _.isEmpty(after) && _.isEmpty(failed)) {
+    return query;
+  }
+
+  var adapter = db.Model.adapter;
+  var run = function(client, statements) {
+    return Promise.each(statements || [], function(sql) {
+      return adapter.execute(sql, [], { client: client });
+    });
+  };
+
+  // execution is the only point at which the client is known
+  return overrideProtected(query, '_execute', function(execute) {
+    return function(client) {
+      return run(client, before)
+        .then(execute.bind(this, client))
+        .catch(function(e) {
+          return run(client, failed).catch(_.noop).throw(e);
+        })
+        .tap(function() { return run(client, after); });
+    };
+  });
+};
+
+/**
+ * Phrasing for the statements that stand in for `BEGIN`, `COMMIT`, and
+ * `ROLLBACK` when the transaction of a request is a savepoint within the
+ * transaction of a test (see `testMode`). Each is followed by the name of the
+ * savepoint.
+ *
+ * @type {Object}
+ */
+var savepointPhrasing = {
+  begin: ['SAVEPOINT'],
+  commit: ['RELEASE SAVEPOINT'],
+  rollback: ['ROLLBACK TO SAVEPOINT', 'RELEASE SAVEPOINT'],
+};
+
+/**
+ * Get the query that begins or closes a single transaction for a request,
+ * surrounded by the statements for the request's transaction mode. When the
+ * transaction is a savepoint, the mode is not applied since it cannot be
+ * changed once the transaction of the test has begun.
+ *
+ * @param {Request} req
+ * @param {Object} context An item from `requestTransactions`.
+ * @param {String} action Either `begin`, `commit` or `rollback`.
+ * @return {BaseQuery} The query.
+ */
+var transactionQuery = function(req, context, action) {
+  var db = context.db;
+  var transaction = context.transaction;
+  var statements;
+
+  if (context.savepoint) {
+    statements = savepointPhrasing[action].map(function(sql) {
+      return sql + ' ' + context.savepoint;
+    });
+    var query = db.query.transaction(transaction).raw(_.first(statements));
+    return surround(db, query, [], _.rest(statements));
+  }
+
+  // connection state must be reset even when the transaction fails to begin
+  // or close so that the connection is not returned to the pool with it.
+  statements = modePhrasing[dialect(db)](req.azul.mode);
+  return action === 'begin' ?
+    surround(db, transaction.begin(),
+      statements.before, statements.after, statements.reset) :
+    surround(db, transaction[action](),
+      [], statements.reset, statements.reset);
+};
+
+/**
+ * Determine if a request has any transactions.
+ *
+ * @param {Request} req
+ * @return {Boolean}
+ */
+var hasTransaction = function(req) {
+  return _.any(_.get(req, 'azul.databases'), 'transaction');
+};
+
+/**
+ * Get the transactions of a request in the order that the databases were
+ * given.
+ *
+ * @param {Object} env
+ * @param {Request} req
+ * @return {Array.<{name: String, db: Database, transaction: Transaction,
+ * savepoint: String}>}
+ */
+var requestTransactions = function(env, req) {
+  return _(req.azul.databases).map(function(context, name) {
+    var db = env.databases[name];
+    return {
+      name: name,
+      db: db,
+      transaction: context.transaction,
+      savepoint: context.savepoint,
+    };
+  })
+  .filter('transaction')
+  .value();
+};
+
+/**
+ * The property that marks errors that came from the adapter of a database
+ * while running statements for a request.
+ *
+ * @type {String}
+ */
+var adapterErrorKey = '_azulExpressAdapterError';
+
+/**
+ * Mark an error as coming from the adapter of a database (see
+ * `connectionErrors`).
+ *
+ * @param {Error} err
+ * @return {Error} The error.
+ */
+var markAdapterError = function(err) {
+  if (_.isObject(err)) {
+    Object.defineProperty(err, adapterErrorKey, { value: true });
+  }
+  return err;
+};
+
+/**
+ * Begin a single transaction for a request, applying the request's
+ * transaction mode. Emits a `begin` event once the transaction has begun.
+ *
+ * @param {Object} env
+ * @param {Request} req
+ * @param {Object} context An item from `requestTransactions`.
+ * @return {Promise}
+ */
+var beginOne = function(env, req, context) {
+  var transaction = context.transaction;
+  var start = Date.now();
+  return transactionQuery(req, context, 'begin').execute()
+  .catch(function(e) { throw markAdapterError(e); })
+  .tap(function() {
+    env.events.emit('begin', {
+      req: req,
+      database: context.name,
+      transaction: transaction,
+      duration: Date.now() - start,
+    });
+  });
+};
+
+/**
+ * Close a single transaction for a request, resetting any connection state
+ * that was changed to apply the request's transaction mode. Emits an event
+ * named for the action once the transaction is closed, or one with an `Error`
+ * suffix if closing fails. The `duration` of the event is the time taken to
+ * close the transaction & `elapsed` is the time since it began.
+ *
+ * @param {Object} env
+ * @param {Request} req
+ * @param {Object} context An item from `requestTransactions`.
+ * @param {String} action Either `commit` or `rollback`.
+ * @return {Promise}
+ */
+var closeOne = function(env, req, context, action) {
+  var transaction = context.transaction;
+  var start = Date.now();
+  var emit = function(event, details) {
+    var now = Date.now();
+    env.events.emit(event, _.extend({
+      req: req,
+      database: context.name,
+      transaction: transaction,
+      duration: now - start,
+      elapsed: now - req.azul.started,
+    }, details));
+  };
+  return transactionQuery(req, context, action).execute()
+  .tap(function() { emit(action); })
+  .catch(function(e) {
+    emit(action + 'Error', { error: e });
+    throw markAdapterError(e);
+  });
+};
+
+/**
+ * Begin the transactions for a request in order. If one cannot be begun,
+ * those that were already begun are rolled back.
+ *
+ * @param {Object} env
+ * @param {Request} req
+ * @return {Promise}
+ */
+var beginTransaction = function(env, req) {
+  var begun = [];
+  req.azul.started = Date.now();
+  return Promise.each(requestTransactions(env, req), function(context) {
+    return beginOne(env, req, context).then(function() { begun.push(context); });
+  })
+  .catch(function(e) {
+    return Promise.each(begun, function(context) {
+      return closeOne(env, req, context, 'rollback').catch(_.noop);
+    })
+    .throw(e);
+  });
+};
+
+/**
+ * The name of the property used to mark an error from committing when some of
+ * the transactions were committed before it occurred.
+ *
+ * @type {String}
+ */
+var partialCommitKey = '_azulExpressPartialCommit';
+
+/**
+ * Close the transactions for a request in order. This is a best effort when
+ * committing: once a commit fails, the remaining transactions are rolled back,
+ * but those that were already committed remain committed (and the error is
+ * marked with `partialCommitKey`).
+ *
+ * @param {Object} env
+ * @param {Request} req
+ * @param {String} action Either `commit` or `rollback`.
+ * @return {Promise}
+ */
+var closeTransaction = function(env, req, action) {
+  var failure;
+  var closed = false;
+  return Promise.each(requestTransactions(env, req), function(context) {
+    var act = failure ? 'rollback' : action;
+    return closeOne(env, req, context, act).then(function() {
+      closed = closed || !failure;
+    },
+    function(e) {
+      if (!failure && closed) {
+        Object.defineProperty(e, partialCommitKey, { value: true });
+      }
+      failure = failure || e;
+    });
+  })
+  .then(function() { if (failure) { throw failure; } });
+};
+
+/**
+ * Make a copy of a query that records each statement that it (or any query
+ * derived from it) executes in `req.azul.queries` & emits a `query` event for
+ * each.
+ *
+ * @param {Object} env
+ * @param {Request} req
+ * @param {String} database The name of the database.
+ * @param {BaseQuery} query
+ * @return {BaseQuery} The copy of the query.
+ */
+var recordQuery = function(env, req, database, query) {
+  // all derived queries share the adapter of the query
+  return overrideProtected(query.clone(), '_adapter', function(adapter) {
+    var recorder = Object.create(adapter);
+    recorder.execute = function(sql, args, options) {
+      var start = Date.now();
+      var record = function(error) {
+        var entry = {
+          database: database,
+          sql: sql,
+          args: args,
+          duration: Date.now() - start,
+        };
+        if (error) { entry.error = error; }
+        req.azul.queries.push(entry);
+        env.events.emit('query', _.extend({
+          req: req,
+          transaction: req.azul.databases[database].transaction,
+        }, entry));
+      };
+      return Promise.resolve(adapter.execute(sql, args, options))
+      .tap(function() { record(); })
+      .catch(function(e) { record(e); throw markAdapterError(e); });
+    };
+    return recorder;
+  });
+};
+
+/**
+ * Error codes for each dialect that indicate that a transaction failed due to
+ * concurrent activity (serialization failures, deadlocks & lock timeouts) and
+ * that it is safe to try the transaction again.
+ *
+ * @type {Object}
+ */
+var retryableErrors = {
+  standard: ['40001'],
+  pg: ['40001', '40P01', '55P03'],
+  mysql: ['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT'],
+  sqlite3: ['SQLITE_BUSY', 'SQLITE_LOCKED'],
+};
+
+/**
+ * Determine if an error is one for which the transaction can be retried.
+ *
+ * @param {Object} env
+ * @param {Error} err
+ * @return {Boolean}
+ */
+var isRetryable = function(env, err) {
+  return !!err && _.any(env.databases, function(db) {
+    return _.contains(retryableErrors[dialect(db)], err.code);
+  });
+};
+
+/**
+ * Create retry options.
+ *
+ * @param {Object|Boolean} [options]
+ * @param {Number} [options.attempts] The maximum number of attempts.
+ * @param {Number|Function} [options.backoff] The delay in milliseconds before
+ * the second attempt (doubled for each subsequent attempt) or a function that
+ * is given the attempt number & error and returns the delay.
+ * @return {{attempts: Number, backoff: Function}}
+ */
+var retryOptions = function(options) {
+  var opts = _.defaults({}, _.isObject(options) ? options : {}, {
+    attempts: options ? 3 : 1,
+    backoff: 0,
+  });
+  var backoff = _.isFunction(opts.backoff) ? opts.backoff : function(attempt) {
+    return opts.backoff * Math.pow(2, attempt - 2);
+  };
+  return { attempts: opts.attempts, backoff: backoff };
+};
+
+/**
+ * Get the path of a request.
+ *
+ * @param {Request} req
+ * @return {String}
+ */
+var requestPath = function(req) {
+  return req.path || url.parse(req.url || '').pathname || '';
+};
+
+/**
+ * Create a transaction policy from options. The policy determines whether a
+ * request should be run in a transaction.
+ *
+ * @param {Object} [options]
+ * @param {Array.<String>} [options.methods] The HTTP methods that should use a
+ * transaction.
+ * @param {Array.<String|RegExp>} [options.exclude] Paths that should not use
+ * a transaction. Strings match the path & anything below it.
+ * @param {Function} [options.when] A predicate that is given the request.
+ * @return {Function} A function that is given a request & returns a boolean.
+ */
+var transactionPolicy = function(options) {
+  var opts = _.defaults({}, options, {
+    methods: undefined,
+    exclude: [],
+    when: _.constant(true),
+  });
+  var methods = opts.methods && _.invoke(opts.methods, 'toUpperCase');
+  var exclude = [].concat(opts.exclude).map(function(pattern) {
+    if (_.isRegExp(pattern)) { return pattern.test.bind(pattern); }
+    var base = _.trimRight(pattern, '/');
+    return function(path) {
+      return path === base || _.startsWith(path, base + '/');
+    };
+  });
+
+  return function(req) {
+    var path = requestPath(req);
+    var method = (req.method || '').toUpperCase();
+    return (!methods || _.contains(methods, method)) &&
+      !_.any(exclude, function(fn) { return fn(path); }) &&
+      !!opts.when(req);
+  };
+};
+
+/**
+ * Get the names of the databases on which to use transactions.
+ *
+ * @param {Object} env
+ * @param {Object} options
+ * @param {Array.<String>} [options.databases] Defaults to all databases.
+ * @return {Array.<String>}
+ * @throws {Error} When a database does not exist.
+ */
+var transactionDatabases = function(env, options) {
+  var names = options.databases || _.keys(env.databases);
+  names.forEach(function(name) {
+    if (!_.has(env.databases, name)) {
+      throw new Error('Unknown database: ' + name);
+    }
+  });
+  return names;
+};
+
+/**
+ * The property through which a bound model class (and its prototype)
+ * references the binder that created it.
+ *
+ * @type {String}
+ */
+var binderKey = '_azulExpressBinder';
+
+/**
+ * The property through which the shape of a bound model class references the
+ * relations function of the model at the time its relations were redefined.
+ * Azul.js replaces that function each time a relation is added to a model.
+ *
+ * @type {String}
+ */
+var relationsKey = '_azulExpressRelations';
+
+/**
+ * Define a property that gives a relation bound by the binder of the object on
+ * which it was accessed & the relation itself when there is no binder.
+ *
+ * @param {Object} target
+ * @param {String} key
+ * @param {Function} relation A function that gives the unbound relation.
+ */
+var defineRelation = function(target, key, relation) {
+  Object.defineProperty(target, key, {
+    enumerable: true, configurable: true, get: function() {
+      var binder = this[binderKey];
+      return binder ? binder.relation(relation()) : relation();
+    },
+  });
+};
+
+/**
+ * Redefine the relations of a model on its shape. This covers relations that
+ * were added since it was last done, including those that Azul.js adds
+ * implicitly when configuring relations (such as the inverse of a relation or
+ * those of the join model of a many-to-many relation).
+ *
+ * Relations are accessed on instances, on the model class itself both
+ * configured & unconfigured (`_<name>Relation`), and as a group through
+ * `relations`. Each is redefined.
+ *
+ * @param {Class} model
+ * @param {Class} shape
+ */
+var defineRelations = function(model, shape) {
+  var prototype = shape.__class__.prototype;
+  var classPrototype = shape.__metaclass__.prototype;
+  var define = function(name) {
+    var key = name + 'Relation';
+    var unconfiguredKey = '_' + key;
+    if (_.has(prototype, key)) { return; }
+    defineRelation(prototype, key, function() { return model[key]; });
+    defineRelation(classPrototype, key, function() { return model[key]; });
+    defineRelation(classPrototype, unconfiguredKey, function() {
+      return model[unconfiguredKey];
+    });
+  };
+
+  // reading the relations configures them, which may add more relations.
+  while (shape[relationsKey] !== model._relations) {
+    shape[relationsKey] = model._relations;
+    _.keys(model.relations).forEach(define);
+  }
+};
+
+/**
+ * Get the shape of a bound model class. The shape is a subclass of the model
+ * that is created once & shared by all requests. Relations of the model are
+ * redefined on the shape (see `defineRelations`) to use the binder of the
+ * bound class through which they are accessed, so that the relation's model
+ * classes are swapped out for bound models only when the relation is used.
+ *
+ * @param {Database} db
+ * @param {Object} shapes The shapes created for the database so far.
+ * @param {String} name The name of the model.
+ * @return {Class}
+ */
+var modelShape = function(db, shapes, name) {
+  var model = db.model(name);
+  var shape = shapes[name];
+  if (!shape) {
+    shape = shapes[name] = model.extend();
+    Object.defineProperty(shape.__metaclass__.prototype, 'relations', {
+      enumerable: true, get: function() {
+        var binder = this[binderKey];
+        var relations = model.relations;
+        return binder ? _.mapValues(relations, binder.relation) : relations;
+      },
+    });
+  }
+  defineRelations(model, shape);
+  return shape;
+};
+
+/**
+ * Create a model class binder function.
+ *
+ * The resulting function should be called with the name of a model to bind. A
+ * bound model will be created from that name. All relationships on that model
+ * will also be bound properly. The result is a model that you can safely use
+ * that has been bound to the query/transaction.
+ *
+ * The work of redefining relations is done once per model (see `modelShape`),
+ * so binding a model only creates a subclass of its shape that uses the
+ * query. Related models are bound when a relation is first used.
+ *
+ * @param {Database} db
+ * @param {Object} shapes The shapes created for the database so far.
+ * @param {BaseQuery} query
+ * @return {Function}
+ */
+var modelBinder = function(db, shapes, query) {
+  var bound = {};
+  var relations = {};
+  var bind = function(/*name*/) {
+    var name = _.capitalize(_.camelCase(arguments[0])); // as azul names models
+    if (!bound[name]) {
+      var subclass = bound[name] = modelShape(db, shapes, name).extend();
+      Object.defineProperty(subclass, binderKey, { value: bind });
+      Object.defineProperty(subclass.__class__.prototype, binderKey, {
+        value: bind,
+      });
+
+      // redefine the query object on this model class
+      subclass.reopenClass({ query: query });
+    }
+    return bound[name];
+  };
+
+  // create an override of a relation with the relation's model classes
+  // swapped out for bound models. note that no re-configuration will occur
+  // for the relation objects. they'll simply use a different model class when
+  // creating or accessing instances. relations that are through others (such
+  // as many-to-many relations) expand to the bound versions of those others.
+  bind.relation = function(relation) {
+    var id = relation._modelClass.__name__ + '#' + relation._name;
+    if (!relations[id]) {
+      // TODO: we're accessing protected variables on the relation here. it
+      // would be a good idea to expose a tested method in the main azul
+      // project that we're sure will exist.
+      var copy = relations[id] = Object.create(relation); // copy relation
+      copy._modelClass = bind(relation._modelClass.__name__);
+      copy._relatedModel = bind(relation._relatedModel.__name__);
+      copy.configured = function() { relation.configured(); return this; };
+      if (relation._options.through) {
+        copy._expand = function() {
+          return _.map(relation._expand(), bind.relation);
+        };
+      }
+    }
+    return relations[id];
+  };
+
+  return bind;
+};
+
+/**
+ * Get the database & model for a model name that may be prefixed with the
+ * name of a database, for instance `Audit$Event` for the `event` model of the
+ * `audit` database. Names without a prefix use the default database.
+ *
+ * @param {Object} env
+ * @param {String} name
+ * @return {{database: String, model: String}}
+ * @throws {Error} When the database does not exist.
+ */
+var modelReference = function(env, name) {
+  var index = name.indexOf('$');
+  if (index === -1) { return { database: env.name, model: name }; }
+
+  var prefix = name.slice(0, index);
+  var database = prefix.charAt(0).toLowerCase() + prefix.slice(1);
+  if (!_.has(env.databases, database)) {
+    throw new Error('Unknown database: ' + database);
+  }
+  return { database: database, model: name.slice(index + 1) };
+};
+
+/**
+ * Get a model class bound to the query of a request. The binder for each
+ * database is created once per request, so the same class is returned each
+ * time a model is requested.
+ *
+ * @param {Object} env
+ * @param {Request} req
+ * @param {String} name The name of the model, possibly prefixed with the name
+ * of its database (see `modelReference`).
+ * @return {Class}
+ */
+var requestModel = function(env, req, name) {
+  var reference = modelReference(env, name);
+  var database = reference.database;
+  var binders = req.azul.binders;
+  var binder = binders[database] = binders[database] ||
+    modelBinder(env.databases[database], env.shapes[database],
+      req.azul.databases[database].query);
+  return binder(reference.model);
+};
+
+/**
+ * Create an object through which the models of a request are accessed by
+ * name, for instance `req.azul.models.Article` or `req.azul.models.Audit$Event`.
+ * Models are only bound when accessed. Names that are not capitalized are not
+ * treated as models, so the object is not mistaken for a promise (`then`) or
+ * the like.
+ *
+ * @param {Object} env
+ * @param {Request} req
+ * @return {Object}
+ */
+var requestModels = function(env, req) {
+  return new Proxy({}, {
+    get: function(target, name) {
+      var model = _.isString(name) && /^[A-Z]/.test(name);
+      return model ? requestModel(env, req, name) : target[name];
+    },
+  });
+};
+
+/**
+ * Find a path between providers through the providers that each is waiting on.
+ * Dependencies that would form a cycle are never recorded, so the search
+ * always ends.
+ *
+ * @param {Object} waiting Names of providers mapped to the names of those that
+ * they are waiting on.
+ * @param {String} from
+ * @param {String} to
+ * @return {Array.<String>|undefined} The names on the path, including both
+ * ends.
+ */
+var providerPath = function(waiting, from, to) {
+  if (from === to) { return [to]; }
+
+  var path;
+  _.any(waiting[from], function(name) {
+    path = providerPath(waiting, name, to);
+    return path;
+  });
+  return path && [from].concat(path);
+};
+
+/**
+ * Resolve a provider (see `provide`) for a request. Each provider is called at
+ * most once per request & the promise for its value is kept in
+ * `req.azul.provided`.
+ *
+ * Each provider is given a function to resolve the providers it depends on &
+ * these are recorded in `req.azul.waiting`. A provider that would end up
+ * waiting on itself is rejected. Calls to `req.azul.resolve` are only known to
+ * come from a provider while it is being called, so cycles through it that
+ * occur asynchronously are not found.
+ *
+ * @param {Object} env
+ * @param {Request} req
+ * @param {String} [caller] The name of the provider that depends on this one.
+ * @param {String} name The name of the provider.
+ * @return {Promise}
+ */
+var resolveProvider = function(env, req, caller, name) {
+  var azul = req.azul;
+  if (!_.has(env.providers, name)) {
+    return Promise.reject(new Error('Unknown provider: ' + name));
+  }
+
+  caller = caller || _.last(azul.resolving);
+  if (caller) {
+    var path = providerPath(azul.waiting, name, caller);
+    if (path) {
+      var cycle = path.concat([name]).join(' -> ');
+      return Promise.reject(new Error('Circular providers: ' + cycle));
+    }
+    azul.waiting[caller] = _.union(azul.waiting[caller] || [], [name]);
+  }
+
+  if (!_.has(azul.provided, name)) {
+    var resolve = _.partial(resolveProvider, env, req, name);
+    var args = [req, azul.query, azul.models, resolve];
+    azul.resolving.push(name);
+    azul.provided[name] = Promise.try(env.providers[name], args);
+    azul.resolving.pop();
+  }
+  return azul.provided[name];
+};
+
+/**
+ * Create a replica strategy that chooses replicas in turn.
+ *
+ * @return {Function}
+ */
+var roundRobin = function() {
+  var index = -1;
+  return function(replicas) {
+    index = (index + 1) % replicas.length;
+    return replicas[index];
+  };
+};
+
+/**
+ * Methods that are not expected to write.
+ *
+ * @type {Array.<String>}
+ */
+var safeMethods = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Determine if a request uses a method that is not expected to write.
+ *
+ * @param {Request} req
+ * @return {Boolean}
+ */
+var safeRequest = function(req) {
+  return _.contains(safeMethods, (req.method || '').toUpperCase());
+};
+
+/**
+ * Get the value of a cookie sent with a request.
+ *
+ * @param {Request} req
+ * @param {String} name
+ * @return {String|undefined}
+ */
+var requestCookie = function(req, name) {
+  var header = _.get(req, 'headers.cookie') || '';
+  var match = header.match(new RegExp('(?:^|;\\s*)' + _.escapeRegExp(name) + '=([^;]*)'));
+  return match ? decodeURIComponent(match[1]) : undefined;
+};
+
+/**
+ * Determine if a request without a transaction should read from a replica of
+ * the default database. Only requests with safe methods do so since others may
+ * write without a transaction. Requests that have asked to use the primary
+ * (either through `req.azul.usePrimary` or a recent write that set the primary
+ * cookie) do not.
+ *
+ * @param {Object} env
+ * @param {Request} req
+ * @return {Boolean}
+ */
+var useReplica = function(env, req) {
+  var replication = env.replication;
+  var until = Number(requestCookie(req, replication.cookie)) || 0;
+  return !_.isEmpty(replication.replicas) &&
+    safeRequest(req) &&
+    !_.get(req, 'azul.primary') &&
+    until <= Date.now();
+};
+
+/**
+ * Set the primary cookie after a request that committed writes so that the
+ * client reads its own writes from the primary until replicas have caught up.
+ *
+ * @param {Object} env
+ * @param {Request} req
+ * @param {Response} res
+ */
+var stickToPrimary = function(env, req, res) {
+  var replication = env.replication;
+  var readOnly = _.get(req, 'azul.mode.readOnly');
+  if (!replication.window || !req.azul.transaction || safeRequest(req) ||
+      readOnly || res.headersSent) {
+    return;
+  }
+
+  var until = Date.now() + replication.window;
+  var cookie = replication.cookie + '=' + until +
+    '; Max-Age=' + Math.ceil(replication.window / 1000) +
+    '; Path=/; HttpOnly';
+  var existing = res.getHeader('Set-Cookie');
+  res.setHeader('Set-Cookie', _.compact(_.flatten([existing, cookie])));
+};
+
+/**
+ * Switch a request that is reading from a replica to the primary. Models that
+ * were already bound for the request continue to use the replica.
+ *
+ * @param {Object} env
+ * @param {Request} req
+ */
+var usePrimary = function(env, req) {
+  var context = req.azul.databases[env.name];
+  req.azul.primary = true;
+  if (context.replica) {
+    context.replica = undefined;
+    context.query = recordQuery(env, req, env.name, env.db.query);
+    req.azul.query = context.query;
+    delete req.azul.binders[env.name];
+  }
+};
+
 /**
  * Setup a request object, adding azul functionality.
  *
- * @param {Database} db
- * @param {Request} req
+ * Each database has a query (and transaction) in `req.azul.databases` & those
+ * of the default database are also available as `req.azul.query` and
+ * `req.azul.transaction`. Without a transaction, the query of the default
+ * database reads from a replica when replicas are configured. In test mode,
+ * the query runs within the transaction of the test & the transaction is a
+ * savepoint within it. Model classes bound to these queries are available
+ * through `req.azul.model` and `req.azul.models` & the values of providers
+ * through `req.azul.resolve`.
+ *
+ * @param {Object} env
+ * @param {Request} req
+ * @param {Object} [options]
+ * @param {Boolean} [options.transaction]
+ * @param {Array.<String>} [options.databases] The names of the databases on
+ * which to use transactions (defaults to all).
+ * @param {Object} [options.mode] The transaction mode.
+ */
+var setupRequest = function(env, req, options) {
+  var opts = _.defaults({}, options, {
+    transaction: false,
+    databases: _.keys(env.databases),
+    mode: transactionMode(),
+  });
+
+  // already set up (with a transaction if one is needed)
+  if (req.azul && req.azul.databases &&
+      (hasTransaction(req) || !opts.transaction)) { return; }
+
+  var databases = _.mapValues(env.databases, function(db, name) {
+    var testing = env.testing[name]; // see `testMode`
+    var transaction;
+    var savepoint;
+    var replica;
+    var query = db.query;
+    if (testing) {
+      query = testing.query;
+      if (opts.transaction && _.contains(opts.databases, name)) {
+        transaction = testing.transaction;
+        savepoint = 'AZUL_EXPRESS_TEST_' + (++testing.savepoints);
+      }
+    }
+    else if (opts.transaction && _.contains(opts.databases, name)) {
+      transaction = db.query.transaction();
+      query = query.transaction(transaction);
+    }
+    else if (name === env.name && useReplica(env, req)) {
+      replica = env.replication.choose(env.replication.replicas, req);
+      query = replica.query;
+    }
+    return {
+      transaction: transaction,
+      savepoint: savepoint,
+      replica: replica,
+      query: query,
+    };
+  });
+
+  req.azul = _.extend({ queries: [] }, req.azul, {
+    databases: databases,
+    mode: opts.transaction ? opts.mode : undefined,
+    binders: {}, // model binders for each database (see `requestModel`)
+    model: _.partial(requestModel, env, req),
+    models: requestModels(env, req),
+    provided: {}, // promises for the values of providers
+    resolving: [], // names of providers being called, innermost last
+    waiting: {}, // names of providers mapped to those they depend on
+    resolve: _.partial(resolveProvider, env, req, undefined),
+    usePrimary: _.partial(usePrimary, env, req),
+  });
+  _.forEach(databases, function(context, name) {
+    context.query = recordQuery(env, req, name, context.query);
+  });
+  _.extend(req.azul, _.pick(databases[env.name], 'transaction', 'query'));
+};
+
+/**
+ * The default decision for whether to commit or roll back the transaction
+ * once the response is written.
+ *
+ * @param {Number} status The status code of the response.
+ * @return {Boolean} True to commit, false to roll back.
+ */
+var commitWhen = function(status) {
+  return status < 400;
+};
+
+/**
+ * The default handling of errors from hooks that run after the transaction is
+ * closed. The response may already be sent at that point, so a `hookError`
+ * event is emitted instead. Without a listener for it, the error is reported
+ * as a process warning so that it is not lost.
+ *
+ * @param {Object} env
+ * @param {Error} err
+ * @param {Request} req
+ * @param {Response} res
+ */
+var hookError = function(env, err, req, res) {
+  if (!env.events.listenerCount('hookError')) {
+    return process.emitWarning(err);
+  }
+  env.events.emit('hookError', {
+    req: req,
+    res: res,
+    database: env.name,
+    transaction: req.azul.transaction,
+    error: err,
+  });
+};
+
+/**
+ * The number of temporary files that have been created for output buffers.
+ *
+ * @type {Number}
+ */
+var spillCount = 0;
+
+/**
+ * Create a buffer for output that is held until the transaction is closed.
+ * Once the buffer grows beyond the limit, it is spilled to a temporary file so
+ * that large responses do not need to be kept in memory.
+ *
+ * @param {Number} limit The maximum number of bytes to keep in memory.
+ * @return {{write: Function, flush: Function, discard: Function}}
+ */
+var outputBuffer = function(limit) {
+  var chunks = [];
+  var size = 0;
+  var file; // path of the temporary file once spilled
+  var stream; // stream for writing to the temporary file
+  var failure; // error writing to the temporary file
+  var done; // promise for whether the file was created once writing is done
+
+  // the name is not predictable & the file must not already exist so that
+  // other users of the temporary directory cannot read or redirect output.
+  var spill = function() {
+    var random = crypto.randomBytes(8).toString('hex');
+    var name = ['azul-express', process.pid, ++spillCount, random].join('-');
+    file = path.join(os.tmpdir(), name);
+    stream = fs.createWriteStream(file, { flags: 'wx', mode: parseInt('600', 8) });
+
+    // whether `end` calls back once the stream has failed differs between
+    // versions of node, so the events are used to know when it is done.
+    var opened = false;
+    stream.on('open', function() { opened = true; });
+    done = new Promise(function(resolve) {
+      stream.on('finish', resolve);
+      stream.on('error', function(e) { failure = failure || e; resolve(); });
+    })
+    .then(function() { return opened; });
+
+    chunks.forEach(function(chunk) { stream.write(chunk); });
+    chunks = [];
+  };
+
+  var write = function(chunk, encoding) {
+    if (chunk === undefined || chunk === null) { return; }
+    var data = Buffer.isBuffer(chunk) ?
+      chunk : Buffer.from(String(chunk), _.isString(encoding) ? encoding : 'utf8');
+    size += data.length;
+    if (!file && size > limit) { spill(); }
+    if (file) { stream.write(data); }
+    else { chunks.push(data); }
+  };
+
+  // a file that could not be created is left alone since it may belong to
+  // someone else.
+  var discard = function() {
+    var spilled = file;
+    chunks = [];
+    size = 0;
+    file = undefined;
+    if (!spilled) { return; }
+    stream.end();
+    done.then(function(opened) {
+      if (opened) { fs.unlink(spilled, _.noop); }
+    });
+  };
+
+  // write the output to the target using the given write function. when the
+  // output was spilled, this is asynchronous & respects backpressure.
+  var flush = function(target, fn) {
+    chunks.forEach(function(chunk) { fn.call(target, chunk); });
+    if (!file) { return discard(); }
+
+    var spilled = file;
+    stream.end();
+    return done.then(function() {
+      if (failure) { throw failure; }
+      return new Promise(function(resolve, reject) {
+        var input = fs.createReadStream(spilled);
+        input.on('data', function(data) {
+          if (fn.call(target, data) === false) {
+            input.pause();
+            target.once('drain', input.resume.bind(input));
+          }
+        });
+        input.on('end', resolve);
+        input.on('error', reject);
+      });
+    })
+    .finally(discard);
+  };
+
+  return { write: write, flush: flush, discard: discard };
+};
+
+/**
+ * Options for `setupResponse` that are accepted by the middleware & routes.
+ *
+ * @type {Array.<String>}
+ */
+var responseKeys = [
+  'commitWhen', 'commitOn', 'bufferLimit',
+  'hookError', 'timeout', 'timeoutError',
+];
+
+/**
+ * Get the options for `setupResponse` from middleware or route options.
+ *
+ * @param {Object} options
+ * @return {Object}
+ * @throws {Error} When `commitOn` is not supported.
+ */
+var parseResponseOptions = function(options) {
+  var commitOn = options.commitOn;
+  if (commitOn && commitOn !== 'write' && commitOn !== 'end') {
+    throw new Error('Unknown commitOn: ' + commitOn);
+  }
+  return _.pick(options, responseKeys);
+};
+
+/**
+ * Setup a response object, adding azul functionality.
+ *
+ * @param {Object} env
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Function} next
+ * @param {Object} [options]
+ * @param {Function} [options.commitWhen] Decide whether to commit or roll back
+ * the transaction when the response is first written. This is given the
+ * status code, request & response & returns true to commit.
+ * @param {String} [options.commitOn] When to close the transaction, either on
+ * the first `write` (the default) or on `end`. Output is buffered until the
+ * end when using `end`.
+ * @param {Number} [options.bufferLimit] The number of bytes to buffer in
+ * memory before spilling to a temporary file when using `commitOn: 'end'`.
+ * @param {Function} [options.hookError] Handle errors from `afterCommit`,
+ * `afterRollback` & `afterComplete` hooks. This is given the error, request &
+ * response.
+ * @param {Number} [options.timeout] Roll back the transaction if it has not
+ * been closed after this many milliseconds & respond with a 503.
+ * @param {Boolean} [options.timeoutError] Call next with an error when timing
+ * out rather than responding.
+ */
+var setupResponse = function(env, req, res, next, options) {
+  if (!hasTransaction(req)) { return; } // no setup required
+  if (res.azul && res.azul.commit) { return; } // already set up
+
+  var opts = _.defaults({}, options, {
+    commitWhen: commitWhen,
+    commitOn: 'write',
+    bufferLimit: 1024 * 1024,
+    hookError: _.partial(hookError, env),
+  });
+  var writeHead = res.writeHead;
+  var write = res.write;
+  var end = res.end;
+
+  var pending; // operations waiting until after commit/rollback
+  var promise; // promise for close transaction (COMMIT/ROLLBACK)
+  var committed = false; // whether a commit may have taken effect
+  var written = false; // whether anything has been written to the response
+  var savepoints = []; // names of open savepoints, innermost last
+  var savepointCount = 0;
+  var hooks; // hooks waiting until after commit/rollback
+  var preparations; // functions to run within the transaction before commit
+  var outcome; // the action that closed the transaction (commit/rollback)
+  var timer; // timer for the timeout
+  var timedOut = false; // whether the timeout was reached
+  var finished = false; // whether the response was ended after timing out
+  var status; // status code given to `writeHead`
+  var buffer; // output buffered until the transaction is closed
+  var running = false; // whether a pending operation is running
+
+  // operations run in order & synchronously unless one returns a promise
+  // (flushing spilled output). writes made by an operation itself (such as
+  // the implicit `writeHead` from `end` or from writing spilled output) are
+  // not queued, so the state stays running until its promise is settled.
+  var stopRunning = function() { running = false; };
+  var runPending = function() {
+    while (pending.length) {
+      var operation = pending.shift();
+      var result;
+      running = true;
+      try { result = operation(); }
+      finally { running = Boolean(result); }
+      if (result) { return result.finally(stopRunning).then(runPending); }
+    }
+    pending = undefined;
+  };
+
+  // buffered output is discarded when the transaction is rolled back before
+  // the response ended so that an error response can be sent instead.
+  var discard = function() {
+    if (!buffer) { return; }
+    buffer.discard();
+    buffer = undefined;
+    pending = [];
+    status = undefined;
+    written = false;
+  };
+
+  var runHook = function(fn) {
+    return Promise.try(fn, [outcome === 'commit'])
+    .catch(function(e) { opts.hookError(e, req, res); });
+  };
+
+  // hooks run in the order they were added once the transaction is closed.
+  // they do not delay the response or the next middleware.
+  var runHooks = function(action) {
+    var array = _.filter(hooks, function(hook) {
+      return hook.type === action || hook.type === 'complete';
+    });
+    outcome = action;
+    hooks = [];
+    Promise.each(_.pluck(array, 'fn'), runHook);
+  };
+
+  var hook = function(type) {
+    return function(fn) {
+      if (!outcome) { hooks.push({ type: type, fn: fn }); }
+      else if (type === outcome || type === 'complete') {
+        Promise.resolve(fn).then(runHook);
+      }
+    };
+  };
+
+  var execute = function(sql) {
+    return req.azul.query.raw(sql).execute();
+  };
+
+  // functions added with `beforeCommit` run within the transaction before it
+  // is committed. if one fails, the transaction is rolled back instead.
+  var prepare = function(action) {
+    var array = action === 'commit' ? preparations : [];
+    preparations = [];
+    return Promise.each(array, function(fn) { return fn(); })
+    .catch(function(e) {
+      return closeTransaction(env, req, 'rollback').catch(_.noop).throw(e);
+    });
+  };
+
+  var beforeCommit = function(fn) {
+    if (!promise) { preparations.push(fn); }
+  };
+
+  // a failed commit leaves nothing durable, so it is treated as a rollback
+  // when running hooks. output held for the transaction is dropped so that
+  // the error can be responded to (or the route retried) since none of it
+  // has been sent.
+  var close = function(action) {
+    clearTimeout(timer);
+    return prepare(action)
+    .then(function() { return closeTransaction(env, req, action); })
+    .catch(function(e) {
+      discard();
+      pending = undefined;
+      written = false;
+      committed = !!_.get(e, partialCommitKey);
+      runHooks('rollback');
+      throw e;
+    })
+    .tap(function() {
+      if (action === 'commit') { stickToPrimary(env, req, res); }
+    })
+    .then(runPending)
+    .then(_.partial(runHooks, action))
+    .catch(next);
+  };
+
+  var commitTransaction = function() {
+    if (promise) { return promise; }
+    committed = true;
+    savepoints.length = 0; // all are released by the commit
+    promise = close('commit');
+    return promise;
+  };
+
+  var rollbackTransaction = function(keepOutput) {
+    if (promise) { return promise; }
+    if (!keepOutput) { discard(); }
+    savepoints.length = 0;
+    promise = close('rollback');
+    return promise;
+  };
+
+  var savepoint = function() {
+    var name = 'AZUL_EXPRESS_' + (++savepointCount);
+    return execute('SAVEPOINT ' + name).then(function() {
+      savepoints.push(name);
+      return name;
+    });
+  };
+
+  // commit & rollback act on the innermost savepoint when one is open & on
+  // the transaction otherwise.
+  var commit = function() {
+    if (promise || !savepoints.length) { return commitTransaction(); }
+    var name = savepoints.pop();
+    return execute('RELEASE SAVEPOINT ' + name).catch(next);
+  };
+
+  var rollback = function() {
+    if (promise || !savepoints.length) { return rollbackTransaction(); }
+    var name = savepoints.pop();
+    return execute('ROLLBACK TO SAVEPOINT ' + name)
+      .then(_.partial(execute, 'RELEASE SAVEPOINT ' + name))
+      .catch(next);
+  };
+
+  // the status code is not yet set on the response when `writeHead` is called
+  // with one (since the call is deferred), so it's taken from the arguments in
+  // that case.
+  var decide = function() {
+    var code = status || res.statusCode || 200;
+    if (opts.commitWhen(code, req, res)) { commitTransaction(); }
+    else { rollbackTransaction(true); }
+  };
+
+  var bufferWrite = function(args) {
+    if (!buffer) {
+      buffer = outputBuffer(opts.bufferLimit);
+      pending.push(function() { return buffer.flush(res, write); });
+    }
+    buffer.write(args[0], args[1]);
+    var callback = _.find(args, _.isFunction);
+    if (callback) { process.nextTick(callback); }
+    return true;
+  };
+
+  // once timed out, the transaction is gone & writes go directly to the
+  // response until it has been ended. later writes (for instance from the
+  // handler that was too slow) are ignored.
+  var passThrough = function(fn, self, args) {
+    if (finished) { return; }
+    finished = (fn === end);
+    return fn.apply(self, args);
+  };
+
+  var timeout = function() {
+    timedOut = true;
+    rollbackTransaction().then(function() {
+      if (opts.timeoutError) {
+        next(_.extend(new Error('Request timed out'), {
+          code: 'ETIMEDOUT',
+          status: 503,
+          statusCode: 503,
+        }));
+      }
+      else {
+        res.statusCode = 503;
+        passThrough(end, res, []);
+      }
+    });
+  };
+
+  // when the client goes away before anything was written, nothing will
+  // close the transaction, so it's rolled back.
+  var abort = function() {
+    if (!promise) { rollbackTransaction(); }
+  };
+
+  var buffering = function() {
+    return opts.commitOn === 'end' && !promise;
+  };
+
+  var triggerClose = function(fn) {
+    return function() {
+      if (timedOut) { return passThrough(fn, this, arguments); }
+      if (fn === writeHead && _.isNumber(arguments[0])) {
+        status = arguments[0];
+      }
+      written = true;
+      if (pending && !running && fn === write && buffering()) {
+        return bufferWrite(arguments);
+      }
+      if (pending && !running) {
+        var self = this;
+        var args = arguments;
+        pending.push(function() { fn.apply(self, args); });
+        if (!promise && (fn === end || !buffering())) { decide(); }
+      }
+      else {
+        fn.apply(this, arguments);
+      }
+    };
+  };
+
+  // restarting is only possible when the previous transaction could not have
+  // had any visible effects. it prepares for the new transaction that's now
+  // on the request, which gets the full timeout.
+  var restart = function() {
+    if (written || committed || timedOut) { return false; }
+    clearTimeout(timer);
+    if (opts.timeout) { timer = setTimeout(timeout, opts.timeout); }
+    pending = [];
+    promise = undefined;
+    hooks = [];
+    preparations = [];
+    outcome = undefined;
+    status = undefined;
+    buffer = undefined;
+    savepoints.length = 0;
+    return true;
+  };
+
+  restart();
+
+  if (_.isFunction(req.on)) { req.on('aborted', abort); }
+  if (_.isFunction(res.on)) { res.on('close', abort); }
+
+  res.writeHead = triggerClose(res.writeHead);
+  res.write = triggerClose(res.write);
+  res.end = triggerClose(res.end);
+  res.azul = _.extend({}, res.azul, {
+    commit: commit,
+    rollback: rollback,
+    savepoint: savepoint,
+    savepoints: savepoints,
+    beforeCommit: beforeCommit,
+    afterCommit: hook('commit'),
+    afterRollback: hook('rollback'),
+    afterComplete: hook('complete'),
+    _restart: restart,
+  });
+};
+
+/**
+ * Reset a request object, replacing its transaction with a new one so that a
+ * route can be run again.
+ *
+ * @param {Object} env
+ * @param {Request} req
+ * @param {Object} [options] The same options as `setupRequest`.
+ */
+var resetRequest = function(env, req, options) {
+  req.azul = _.omit(req.azul,
+    'databases', 'transaction', 'query', 'mode', 'started');
+  setupRequest(env, req, options);
+};
+
+/**
+ * Wrap a next function so that it performs a rollback on the transaction if
+ * called with an error.
+ *
+ * @param {Database} db
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Function} next
+ * @return {Function}
+ */
+var transactionNext = function(db, req, res, next) {
+  return function() {
+    var args = _.toArray(arguments);
+    var promise = Promise.resolve();
+    if (args.length === 1 && (args[0] instanceof Error)) {
+      promise = res.azul.rollback();
+    }
+    return promise.then(next.apply.bind(next, this, args)).catch(next);
+  };
+};
+
+/**
+ * Release a savepoint if it is the innermost savepoint that is still open.
+ *
+ * @param {Response} res
+ * @param {String} name
+ * @return {Promise}
+ */
+var releaseSavepoint = function(res, name) {
+  var innermost = name && _.last(res.azul.savepoints) === name;
+  return innermost ? res.azul.commit() : Promise.resolve();
+};
+
+/**
+ * Wrap a next function so that it releases a savepoint if called without an
+ * error. Calls with an error should already have rolled back to the savepoint
+ * (see `transactionNext`).
+ *
+ * @param {Response} res
+ * @param {Function} savepoint A function that returns the name of the
+ * savepoint.
+ * @param {Function} next
+ * @return {Function}
+ */
+var savepointNext = function(res, savepoint, next) {
+  return function() {
+    var args = _.toArray(arguments);
+    var promise = Promise.resolve();
+    if (!(args.length === 1 && (args[0] instanceof Error))) {
+      promise = releaseSavepoint(res, savepoint());
+    }
+    return promise.then(next.apply.bind(next, this, args)).catch(next);
+  };
+};
+
+/**
+ * Mark a function as middleware from this package so that routers do not wrap
+ * it (see `isUnwrapped`).
+ *
+ * @param {Function} fn
+ * @return {Function} The function.
+ */
+var markMiddleware = function(fn) {
+  fn.azulMiddleware = true;
+  return fn;
+};
+
+/**
+ * Make transaction middleware for a specific database.
+ *
+ * Requests that do not match the transaction policy are set up without a
+ * transaction.
+ *
+ * @param {Object} env
+ * @param {Object|Function} [options] The options or a predicate to use as
+ * `options.when`.
+ * @param {String} [options.isolation] The isolation level.
+ * @param {Boolean} [options.readOnly]
+ * @param {Array.<String>} [options.databases] The names of the databases on
+ * which to use transactions (defaults to all).
+ * @param {Array.<String>} [options.methods] See `transactionPolicy`.
+ * @param {Array.<String|RegExp>} [options.exclude] See `transactionPolicy`.
+ * @param {Function} [options.when] See `transactionPolicy`.
+ * @param {Function} [options.commitWhen] See `setupResponse`.
+ * @param {String} [options.commitOn] See `setupResponse`.
+ * @param {Number} [options.bufferLimit] See `setupResponse`.
+ * @param {Function} [options.hookError] See `setupResponse`.
+ * @param {Number} [options.timeout] See `setupResponse`.
+ * @param {Boolean} [options.timeoutError] See `setupResponse`.
+ * @return {Function} The middleware.
+ */
+var transactionMiddleware = function(env, options) {
+  var opts = _.isFunction(options) ? { when: options } : _.extend({}, options);
+  var mode = transactionMode(opts);
+  var databases = transactionDatabases(env, opts);
+  var policy = transactionPolicy(opts);
+  var responseOptions = parseResponseOptions(opts);
+  return markMiddleware(function(req, res, next) {
+    if (!policy(req)) {
+      setupRequest(env, req, { transaction: false });
+      return next();
+    }
+    setupRequest(env, req, {
+      transaction: true,
+      databases: databases,
+      mode: mode,
+    });
+    setupResponse(env, req, res, next, responseOptions);
+    beginTransaction(env, req).then(_.ary(next, 0), next);
+  });
+};
+
+/**
+ * Make transaction middleware that can also be called with options to create
+ * configured transaction middleware.
+ *
+ * @param {Object} env
+ * @return {Function} The middleware.
+ */
+var transactionMiddlewareFactory = function(env) {
+  var middleware = transactionMiddleware(env);
+  return markMiddleware(function(req, res, next) {
+    // when not called as middleware, the first argument holds the options.
+    return arguments.length < 3 ?
+      transactionMiddleware(env, req) :
+      middleware.call(this, req, res, next);
+  });
+};
+
+/**
+ * Make error middleware. This assumes that the main middleware has already
+ * been installed.
+ *
+ * @param {Database} db
+ * @return {Function} The middleware.
+ */
+var rollbackMiddleware = function(/*db*/) {
+  return markMiddleware(function(err, req, res, next) {
+    var promise = res.azul ? res.azul.rollback() : Promise.resolve();
+    promise.return(err).then(next).catch(next);
+  });
+};
+
+/**
+ * The status & message of the response for each type of classified error.
+ *
+ * @type {Object}
+ */
+var errorTypes = {
+  unique: { status: 409, message: 'Unique constraint violated' },
+  foreignKey: { status: 409, message: 'Foreign key constraint violated' },
+  notNull: { status: 422, message: 'Not null constraint violated' },
+  check: { status: 422, message: 'Check constraint violated' },
+  serialization: { status: 503, message: 'Transaction could not complete' },
+  connection: { status: 503, message: 'Database connection lost' },
+};
+
+/**
+ * Error codes from the network that indicate that the connection to the
+ * database was lost (for any dialect). Other network activity results in the
+ * same codes, so they are only used for errors that are known to have come
+ * from the adapter (see `markAdapterError`).
+ *
+ * @type {Array.<String>}
+ */
+var connectionErrors = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE'];
+
+/**
+ * SQLSTATE error codes mapped to error types.
+ *
+ * @type {Object}
+ */
+var sqlStateErrors = {
+  '23505': 'unique',
+  '23503': 'foreignKey',
+  '23502': 'notNull',
+  '23514': 'check',
+  '08000': 'connection',
+  '08003': 'connection',
+  '08006': 'connection',
+  '57P01': 'connection', // admin shutdown (pg)
+  '57P02': 'connection', // crash shutdown (pg)
+  '57P03': 'connection', // cannot connect now (pg)
+};
+
+/**
+ * MySQL error codes mapped to error types.
+ *
+ * @type {Object}
+ */
+var mysqlErrors = {
+  ER_DUP_ENTRY: 'unique',
+  ER_NO_REFERENCED_ROW: 'foreignKey',
+  ER_NO_REFERENCED_ROW_2: 'foreignKey',
+  ER_ROW_IS_REFERENCED: 'foreignKey',
+  ER_ROW_IS_REFERENCED_2: 'foreignKey',
+  ER_BAD_NULL_ERROR: 'notNull',
+  ER_NO_DEFAULT_FOR_FIELD: 'notNull',
+  ER_CHECK_CONSTRAINT_VIOLATED: 'check',
+  PROTOCOL_CONNECTION_LOST: 'connection',
+  ER_SERVER_SHUTDOWN: 'connection',
+};
+
+/**
+ * Patterns for the details found in the messages of MySQL & SQLite errors for
+ * each error type. Each is a regular expression & the names of the details
+ * that its groups capture.
+ *
+ * @type {Object}
+ */
+var errorMessageDetails = {
+  mysql: {
+    unique: [/for key '(?:[^'.]*\.)?([^']+)'/, ['constraint']],
+    foreignKey: [
+      /`([^`]+)`, CONSTRAINT `([^`]+)` FOREIGN KEY \(`([^`]+)`\)/,
+      ['table', 'constraint', 'column'],
+    ],
+    notNull: [/(?:Column|Field) '([^']+)'/, ['column']],
+    check: [/Check constraint '([^']+)'/, ['constraint']],
+  },
+  sqlite3: {
+    unique: [/failed: (\w+)\.(\w+)/, ['table', 'column']],
+    notNull: [/failed: (\w+)\.(\w+)/, ['table', 'column']],
+    check: [/failed: (.+)$/, ['constraint']],
+  },
+};
+
+/**
+ * Get the details from the message of an error.
+ *
+ * @param {String} message
+ * @param {Array} [pattern] An item from `errorMessageDetails`.
+ * @return {Object}
+ */
+var messageDetails = function(message, pattern) {
+  var match = pattern && pattern[0].exec(message);
+  return match ? _.zipObject(pattern[1], match.slice(1)) : {};
+};
+
+/**
+ * Classifiers for errors from the adapter of each dialect. Each gives the
+ * error type (if it is known) & the constraint, table & column involved (when
+ * the error includes them).
+ *
+ * @type {Object}
+ */
+var errorClassifiers = {
+  standard: function(err) {
+    var key = /Key \(([^)]+)\)=/.exec(err.detail || '');
+    return {
+      type: sqlStateErrors[err.code],
+      constraint: err.constraint,
+      table: err.table,
+      column: err.column || (key ? key[1] : undefined),
+    };
+  },
+  mysql: function(err) {
+    var type = mysqlErrors[err.code];
+    var details = errorMessageDetails.mysql[type];
+    return _.extend({ type: type }, messageDetails(err.message, details));
+  },
+  sqlite3: function(err) {
+    // all constraint errors share a code, so the message gives the type
+    var regex = /(UNIQUE|FOREIGN KEY|NOT NULL|CHECK) constraint failed/;
+    var match = err.code === 'SQLITE_CONSTRAINT' && regex.exec(err.message);
+    var type = match ? _.camelCase(match[1].toLowerCase()) : undefined;
+    var details = errorMessageDetails.sqlite3[type];
+    return _.extend({ type: type }, messageDetails(err.message, details));
+  },
+};
+errorClassifiers.pg = errorClassifiers.standard;
+
+/**
+ * Classify an error from the adapter of any of the databases. The result is an
+ * error with the `type`, `status` & message from `errorTypes`, the
+ * `constraint`, `table` & `column` involved (when known), and the original
+ * error as its `cause`.
+ *
+ * @param {Object} env
+ * @param {Error} err
+ * @return {Error|undefined} The classified error if the error is known.
+ */
+var classifyError = function(env, err) {
+  if (!err) { return undefined; }
+
+  var details = _(env.databases).map(dialect).uniq()
+    .map(function(name) { return errorClassifiers[name](err); })
+    .find('type') || {};
+  var type = details.type;
+  if (isRetryable(env, err)) { type = 'serialization'; }
+  if (err[adapterErrorKey] && _.contains(connectionErrors, err.code)) {
+    type = 'connection';
+  }
+  if (!type) { return undefined; }
+
+  var status = errorTypes[type].status;
+  return _.extend(new Error(errorTypes[type].message), _.omit({
+    type: type,
+    status: status,
+    statusCode: status,
+    constraint: details.constraint,
+    table: details.table,
+    column: details.column,
+    cause: err,
+  }, _.isUndefined));
+};
+
+/**
+ * Find the override for a classified error. Overrides are found by the name of
+ * the constraint & then by the type of the error.
+ *
+ * @param {Object} map Constraint names & error types mapped to overrides.
+ * @param {Error} error The classified error.
+ * @param {Request} req
+ * @return {Object|Boolean|undefined} Properties for the error, or `false` to
+ * leave the error to the next error middleware.
+ */
+var errorOverride = function(map, error, req) {
+  var key = _.find([error.constraint, error.type], function(name) {
+    return name && _.has(map, name);
+  });
+  var override = key ? map[key] : undefined;
+  if (_.isFunction(override)) { override = override(error, req); }
+  if (_.isNumber(override)) { override = { status: override }; }
+  return override;
+};
+
+/**
+ * Make error middleware that rolls back the transaction & responds to known
+ * database errors (see `classifyError`) with JSON that describes the error.
+ * Other errors are passed on, as are errors that occur once the response has
+ * been started (after being classified).
+ *
+ * @param {Object} env
+ * @param {Object} [options]
+ * @param {Object} [options.map] Constraint names & error types mapped to a
+ * status, properties for the error (`status` & `message`), `false` to pass the
+ * error on, or a function that is given the classified error & the request &
+ * returns one of these.
+ * @return {Function} The middleware.
+ */
+var errorMiddleware = function(env, options) {
+  var opts = _.defaults({}, options, { map: {} });
+
+  return markMiddleware(function(err, req, res, next) {
+    var promise = res.azul ? res.azul.rollback() : Promise.resolve();
+    promise.then(function() {
+      var error = classifyError(env, err);
+      var override = error && errorOverride(opts.map, error, req);
+      if (!error || override === false) { return next(err); }
+
+      _.extend(error, override);
+      error.statusCode = error.status;
+      if (res.headersSent) { return next(error); }
+
+      var body = _.pick(error, 'type', 'message', 'constraint', 'table', 'column');
+      res.writeHead(error.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: body }));
+    })
+    .catch(next);
+  });
+};
+
+/**
+ * Respond with JSON that describes an error, in the same form as the
+ * responses of `errorMiddleware`.
+ *
+ * @param {Response} res
+ * @param {Number} status
+ * @param {Object} error The `type` & `message` of the error.
+ */
+var respondWithError = function(res, status, error) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: error }));
+};
+
+/**
+ * Capture the response to a request, holding it back until it is ended so
+ * that it can be saved before the transaction is committed (which happens
+ * once anything is written).
+ *
+ * @param {Response} res
+ * @param {Function} save Called with the status, headers & body (as a
+ * `Buffer`) once the response is ended. This should add a `beforeCommit`
+ * function.
+ */
+var captureResponse = function(res, save) {
+  var writeHead = res.writeHead;
+  var write = res.write;
+  var end = res.end;
+  var calls = []; // calls held back, each a function & its arguments
+  var head; // arguments given to `writeHead`
+
+  var chunk = function(data, encoding) {
+    if (data === undefined || data === null || _.isFunction(data)) { return; }
+    return Buffer.isBuffer(data) ?
+      data : Buffer.from(String(data), _.isString(encoding) ? encoding : 'utf8');
+  };
+
+  res.writeHead = function() {
+    head = _.toArray(arguments);
+    calls.push([writeHead, arguments]);
+  };
+  res.write = function() {
+    calls.push([write, arguments]);
+    return true;
+  };
+  res.end = function() {
+    calls.push([end, arguments]);
+
+    var headers = _.extend({},
+      _.isFunction(res.getHeaders) ? res.getHeaders() : {},
+      _.find(_.rest(head), _.isObject));
+    var body = Buffer.concat(_(calls)
+      .reject(function(call) { return call[0] === writeHead; })
+      .map(function(call) { return chunk(call[1][0], call[1][1]); })
+      .compact()
+      .value());
+
+    save((head && head[0]) || res.statusCode || 200, headers, body);
+    res.writeHead = writeHead;
+    res.write = write;
+    res.end = end;
+    calls.forEach(function(call) { call[0].apply(res, call[1]); });
+  };
+};
+
+/**
+ * Make middleware that makes requests with an `Idempotency-Key` header safe
+ * to retry. The first request with a key records it (outside of the
+ * transaction, so that requests that follow see it immediately) & the
+ * response is saved in the same commit as the rest of the request's work.
+ * Requests that follow with the same key are given the saved response without
+ * running the route, or a `409` while the first is still in progress. Keys
+ * are forgotten when the transaction is rolled back & once the `ttl` has
+ * passed. Since the key is recorded outside of the transaction, it is left in
+ * progress if the process stops before the transaction is closed, so keys in
+ * progress are given up after the shorter `inProgressTtl`.
+ *
+ * This requires the transaction middleware to have already been installed.
+ * Requests that it does not run in a transaction are not affected.
+ *
+ * @param {Object} env
+ * @param {Object} [options]
+ * @param {String} [options.table] The table in the default database in which
+ * to store keys & responses (see `idempotentMigration`).
+ * @param {Number} [options.ttl] The number of milliseconds to keep each key.
+ * @param {Number} [options.inProgressTtl] The number of milliseconds to keep
+ * each key while its request is in progress.
+ * @return {Function} The middleware.
+ */
+var idempotentMiddleware = function(env, options) {
+  var opts = _.defaults({}, options, {
+    table: 'azul_idempotency_keys',
+    ttl: 24 * 60 * 60 * 1000,
+    inProgressTtl: 60 * 1000,
+  });
+
+  // keys are saved outside of the transaction of the request, but in test
+  // mode that must still be within the transaction of the test.
+  var outsideQuery = function() {
+    var testing = env.testing[env.name]; // see `testMode`
+    return testing ? testing.query : env.db.query;
+  };
+
+  // the status is saved along with the response
+  var completed = function(row) {
+    return row.status !== null && row.status !== undefined;
+  };
+
+  var inProgress = function(res) {
+    respondWithError(res, 409, {
+      type: 'inProgress',
+      message: 'A request with this idempotency key is in progress',
+    });
+  };
+
+  var replay = function(res, row) {
+    if (!completed(row)) { return inProgress(res); }
+    res.writeHead(row.status, JSON.parse(row.headers));
+    res.end(Buffer.from(row.body, 'base64'));
+  };
+
+  var remember = function(query, req, res, key) {
+    res.azul.afterRollback(function() {
+      return query.delete(opts.table).where({ key: key });
+    });
+    captureResponse(res, function(status, headers, body) {
+      res.azul.beforeCommit(function() {
+        return req.azul.query.update(opts.table, {
+          status: status,
+          headers: JSON.stringify(headers),
+          body: body.toString('base64'), // responses may be binary
+        })
+        .where({ key: key });
+      });
+    });
+  };
+
+  return markMiddleware(function(req, res, next) {
+    var key = _.get(req, ['headers', 'idempotency-key']);
+    if (!key || !hasTransaction(req)) { return next(); }
+    var query = outsideQuery();
+
+    // the transaction of the request is not used when the key was seen
+    var respond = function(fn) {
+      return res.azul.rollback().then(fn);
+    };
+
+    query.select(opts.table).where({ key: key }).limit(1)
+    .then(function(result) {
+      var row = result.rows[0];
+      var created = row && new Date(row.created).getTime();
+      var ttl = row && (completed(row) ? opts.ttl : opts.inProgressTtl);
+      if (row && created + ttl > Date.now()) {
+        return respond(_.partial(replay, res, row));
+      }
+      return Promise.resolve(row && query.delete(opts.table).where({ key: key }))
+      .then(function() {
+        return query.insert(opts.table, { key: key, created: new Date() });
+      })
+      .then(function() {
+        remember(query, req, res, key);
+        next();
+      });
+    })
+    .catch(function(e) {
+      var error = classifyError(env, e);
+      var raced = error && error.type === 'unique';
+      return raced ? respond(_.partial(inProgress, res)) : next(e);
+    })
+    .catch(next);
+  });
+};
+
+/**
+ * Make a migration that creates the table for `idempotentMiddleware`.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.table] The name of the table.
+ * @return {{up: Function, down: Function}}
+ */
+var idempotentMigration = function(options) {
+  var opts = _.defaults({}, options, { table: 'azul_idempotency_keys' });
+  return {
+    up: function(schema) {
+      return schema.createTable(opts.table, function(table) {
+        table.string('key').primaryKey();
+        table.integer('status'); // null while the request is in progress
+        table.text('headers');
+        table.text('body');
+        table.dateTime('created').notNull();
+      });
+    },
+    down: function(schema) {
+      return schema.dropTable(opts.table);
+    },
+  };
+};
+
+/**
+ * Build the value of the `Server-Timing` header for the database work done
+ * during a request.
+ *
+ * @param {Request} req
+ * @return {String}
+ */
+var serverTiming = function(req) {
+  var azul = req.azul || {};
+  var queries = azul.queries || [];
+  var metrics = [
+    'db;dur=' + _.sum(queries, 'duration') +
+    ';desc="' + queries.length + ' queries"',
+  ];
+  if (azul.started) {
+    metrics.push('transaction;dur=' + (Date.now() - azul.started));
+  }
+  return metrics.join(', ');
+};
+
+/**
+ * Build the value of the `X-Azul-Queries` header. Arguments are left out
+ * since they may contain sensitive data & characters outside of ASCII are
+ * escaped so that the value is a valid header.
+ *
+ * @param {Request} req
+ * @return {String}
+ */
+var queriesHeader = function(req) {
+  var queries = _.get(req, 'azul.queries', []).map(function(query) {
+    return _.pick(query, 'sql', 'duration');
+  });
+  return JSON.stringify(queries).replace(/[^\x20-\x7e]/g, function(c) {
+    return '\\u' + _.padLeft(c.charCodeAt(0).toString(16), 4, '0');
+  });
+};
+
+/**
+ * Make middleware that adds headers describing the database work done during
+ * each request just before the response head is written. This should be
+ * installed before the transaction middleware so that the head is written
+ * after the transaction is closed.
+ *
+ * @param {Object} [options]
+ * @param {Boolean} [options.debug] Add the `X-Azul-Queries` header (defaults
+ * to true when `NODE_ENV` is `development`).
+ * @return {Function} The middleware.
+ */
+var timingMiddleware = function(options) {
+  var opts = _.defaults({}, options, {
+    debug: process.env.NODE_ENV === 'development',
+  });
+  return markMiddleware(function(req, res, next) {
+    var writeHead = res.writeHead;
+    var added = false;
+    res.writeHead = function() {
+      if (!added) {
+        var existing = res.getHeader('Server-Timing');
+        var timing = _.compact(_.flatten([existing, serverTiming(req)]));
+        res.setHeader('Server-Timing', timing.join(', '));
+        if (opts.debug) { res.setHeader('X-Azul-Queries', queriesHeader(req)); }
+        added = true;
+      }
+      return writeHead.apply(this, arguments);
+    };
+    next();
+  });
+};
+
+/**
+ * Make a standard route for express. Pass the original arguments followed by
+ * req, res, next to the wrapped function.
+ *
+ * @param {Function} fn
+ * @return {Function}
+ */
+var makeExpressStandardRoute = function(fn) {
+  return function(req, res, next) {
+    return fn.call(this, _.toArray(arguments), req, res, next);
+  };
+};
+
+/**
+ * Make an error route for express. Pass the original arguments followed by
+ * req, res, next to the wrapped function.
+ *
+ * @param {Function} fn
+ * @return {Function}
+ */
+var makeExpressErrorRoute = function(fn) {
+  return function(err, req, res, next) {
+    return fn.call(this, _.toArray(arguments), req, res, next);
+  };
+};
+
+/**
+ * Make a param route for express. Pass the original arguments followed by
+ * req, res, next to the wrapped function.
+ *
+ * @param {Function} fn
+ * @return {Function}
+ */
+var makeExpressParamRoute = function(fn) {
+  return function(req, res, next) {
+    return fn.call(this, _.toArray(arguments), req, res, next);
+  };
+};
+
+/**
+ * Get the name of the database for a name that injects its query, for
+ * instance `auditQuery` for the `audit` database.
+ *
+ * @param {Object} env
+ * @param {String} name
+ * @return {String|undefined} The name of the database if there is one.
+ */
+var databaseQueryName = function(env, name) {
+  var match = /^([\w$]+)Query$/.exec(name);
+  var database = match && match[1];
+  return _.has(env.databases, database) ? database : undefined;
+};
+
+/**
+ * Determine if a parameter is an Azul.js parameter rather than an Express
+ * parameter. Objects (mappings) are always Azul.js parameters & names are
+ * Azul.js parameters when they are `query` (or the query of a database), are
+ * capitalized, or have been registered as records or providers.
+ *
+ * @param {Object} env
+ * @param {String|Object} param
+ * @return {Boolean}
+ */
+var isAzulParam = function(env, param) {
+  return _.isObject(param) ||
+    /^([A-Z][\w$]*|query)$/.test(param) ||
+    !!databaseQueryName(env, param) ||
+    _.has(env.records, param) ||
+    _.has(env.providers, param);
+};
+
+/**
+ * Get the name of a parameter.
+ *
+ * @param {String|Object} param
+ * @return {String}
+ */
+var paramName = function(param) {
+  return _.isObject(param) ? _.keys(param)[0] : param;
+};
+
+/**
+ * Create a declaration of what to inject for an Azul.js parameter. Names are
+ * injected as is while objects map a parameter name to what to inject, i.e.
+ * `{ articleModel: 'Article' }`.
+ *
+ * @param {String|Object} param
+ * @return {{name: String, inject: String}}
+ */
+var azulDeclaration = function(param) {
+  var name = paramName(param);
+  return { name: name, inject: _.isObject(param) ? param[name] : name };
+};
+
+/**
+ * Split a parameter list at top level commas. The source should begin just
+ * after the opening parenthesis & the split stops at the matching closing
+ * parenthesis. Default values are dropped from each parameter. Brackets &
+ * strings are tracked so that commas & parentheses within destructuring
+ * patterns & default values are not considered.
+ *
+ * @param {String} source
+ * @return {Array.<String>}
+ */
+var splitParams = function(source) {
+  var params = [''];
+  var depth = 0;
+  var quote; // the quote character of the string being scanned
+  var value = false; // whether a default value is being scanned
+  for (var i = 0; i < source.length; i++) {
+    var ch = source[i];
+    var append = !value;
+    if (quote && ch === '\\') { i++; }
+    else if (quote) { quote = (ch === quote) ? undefined : quote; }
+    else if (/['"`]/.test(ch)) { quote = ch; }
+    else if (/[(\[{]/.test(ch)) { depth++; }
+    else if (/[)\]}]/.test(ch)) {
+      if (depth === 0) { break; }
+      depth--;
+    }
+    else if (ch === ',' && depth === 0) {
+      params.push('');
+      value = append = false;
+    }
+    else if (ch === '=' && depth === 0) { value = true; append = false; }
+
+    if (append) { params[params.length - 1] += ch; }
+  }
+  return params;
+};
+
+/**
+ * Determine if a function is native (which includes bound functions), in
+ * which case its source is not available.
+ *
+ * @param {Function} fn
+ * @return {Boolean}
+ */
+var isNative = function(fn) {
+  return /\{\s*\[native code\]\s*\}\s*$/.test(fn.toString());
+};
+
+/**
+ * Parse the parameter names of a function from its source. This supports
+ * function expressions & declarations, arrow functions, concise methods, and
+ * async & generator variants of each. Native & bound functions have no source
+ * from which to parse parameters.
+ *
+ * @param {Function} fn
+ * @return {Array.<String>}
+ */
+var parseParams = function(fn) {
+  var source = fn.toString()
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\/\/.*$/mg, '');
+
+  var arrow = source.match(/^\s*(?:async\s+)?([\w$]+)\s*=>/);
+  if (arrow) { return [arrow[1]]; }
+
+  var index = source.indexOf('(');
+  var header = /^\s*(?:async\b\s*)?(?:function\b\s*\*?\s*[\w$]*|\*?\s*[\w$]*)\s*$/;
+  if (isNative(fn) || index === -1 || !header.test(source.slice(0, index))) {
+    throw new Error('Cannot create route for function: ' + fn.toString());
+  }
+
+  return _(splitParams(source.slice(index + 1)))
+    .invoke('trim')
+    .map(function(param) { return param.replace(/^\.\.\./, ''); })
+    .compact()
+    .value();
+};
+
+/**
+ * Determine if a function is a generator function.
+ *
+ * @param {Function} fn
+ * @return {Boolean}
  */
-var setupRequest = function(db, req, options) {
-  if (req.azul && req.azul.query) { return; } // already set up
+var isGenerator = function(fn) {
+  return _.get(fn, 'constructor.name') === 'GeneratorFunction';
+};
 
-  var opts = _.defaults({}, options, { transaction: false });
-  var transaction;
-  var query = db.query;
-  if (opts.transaction) {
-    transaction = db.query.transaction();
-    query = query.transaction(transaction);
+/**
+ * Determine the Express parameters & Azul.js parameters for a route.
+ *
+ * When `options.inject` is given, it declares only Azul.js parameters & the
+ * Express parameters are `req`, `res` & `next`. Otherwise, the parameters are
+ * declared (or parsed) as a list where Express parameters are followed by
+ * Azul.js parameters.
+ *
+ * @param {Object} env
+ * @param {Function} fn
+ * @param {Array} [declared] Declared parameters.
+ * @param {Object} options
+ * @param {Array} [options.inject] Declared Azul.js parameters.
+ * @return {{express: Array.<String>, azul: Array.<Object>}}
+ */
+var routeParams = function(env, fn, declared, options) {
+  if (options.inject) {
+    return {
+      express: ['req', 'res', 'next'],
+      azul: options.inject.map(azulDeclaration),
+    };
   }
-  req.azul = _.extend({}, req.azul, {
-    transaction: transaction,
-    query: query,
-  });
+
+  var params = declared || fn.$inject || parseParams(fn);
+  var isAzul = _.partial(isAzulParam, env);
+  var isExpressParam = _.negate(isAzul);
+
+  var expressParams = _(params)
+    .takeWhile(isExpressParam)
+    .value();
+
+  var azulParams = _(params)
+    .drop(expressParams.length)
+    .takeWhile(isAzul)
+    .value();
+
+  if (expressParams.length + azulParams.length !== params.length) {
+    throw new Error('Unexpected arguments: ' +
+      params.map(paramName).join(', '));
+  }
+
+  return {
+    express: expressParams,
+    azul: azulParams.map(azulDeclaration),
+  };
 };
 
 /**
- * Setup a response object, adding azul functionality.
+ * A wrapper for decorated Express routes that binds queries & model classes to
+ * the transaction.
  *
- * @param {Database} db
- * @param {Request} req
- * @param {Response} res
- * @param {Function} next
+ * The parameters of the route are determined (in order of precedence) from
+ * explicitly declared parameters, `options.inject`, `fn.$inject`, or the
+ * source of the function. See `routeParams`. Explicitly declared parameters
+ * may be given before the function & the options may also be given before the
+ * function when there are no declared parameters.
+ *
+ * @param {Object} env The environment of the azul-express instance.
+ * @param {Array} [declared] Declared parameters.
+ * @param {Function} fn The Express route to wrap.
+ * @param {Object} [options]
+ * @param {Array} [options.inject] Declared Azul.js parameters.
+ * @param {Boolean} [options.transaction]
+ * @param {String} [options.isolation] The isolation level.
+ * @param {Boolean} [options.readOnly]
+ * @param {Array.<String>} [options.databases] The names of the databases on
+ * which to use transactions (defaults to all).
+ * @param {Object|Boolean} [options.retry] Retry options (see `retryOptions`).
+ * @param {Boolean} [options.savepoint] Run within a savepoint when the
+ * transaction was begun by the transaction middleware.
+ * @param {Function} [options.commitWhen] See `setupResponse`.
+ * @param {String} [options.commitOn] See `setupResponse`.
+ * @param {Number} [options.bufferLimit] See `setupResponse`.
+ * @param {Function} [options.hookError] See `setupResponse`.
+ * @param {Number} [options.timeout] See `setupResponse`.
+ * @param {Boolean} [options.timeoutError] See `setupResponse`.
+ * @param {Boolean} [options.param] The route is an Express param callback.
+ * @param {Function} [options.wrap]
+ * @return {Function} The wrapped route.
  */
-var setupResponse = function(db, req, res, next) {
-  if (!req.azul.transaction) { return; } // no setup required
-  if (res.azul && res.azul.commit) { return; } // already set up
+var route = function(env, fn, options) {
+  var db = env.db;
+  var declared;
+  var args = _.toArray(arguments);
+  if (_.isArray(fn)) { // declared parameters
+    declared = fn;
+    fn = args[2];
+    options = args[3];
+  }
+  else if (typeof fn !== 'function') { // options first
+    // `_.isFunction` is not used since it's false for async & generators
+    fn = args[2];
+    options = args[1];
+  }
 
-  var transaction = req.azul.transaction;
-  var pending = []; // operations waiting until after commit/rollback
-  var promise; // promise for close transaction (COMMIT/ROLLBACK)
+  var opts = _.defaults({}, options, {
+    transaction: false,
+    retry: false,
+    savepoint: false,
+    param: false,
+    wrap: _.identity,
+  });
+  var mode = transactionMode(opts);
+  var databases = transactionDatabases(env, opts);
+  var retry = retryOptions(opts.retry);
+  var responseOptions = parseResponseOptions(opts);
 
-  var runPending = function() {
-    var array = pending.slice();
-    pending = undefined;
-    array.forEach(function(fn) {
-      fn();
-    });
-  };
+  var params = routeParams(env, fn, declared, opts);
+  var expressParams = params.express;
+  var azulParams = params.azul;
 
-  var commit = function() {
-    if (promise) { return promise; }
-    promise = transaction.commit().execute().then(runPending).catch(next);
-    return promise;
-  };
+  // ensure that the databases of prefixed model names exist
+  azulParams.forEach(function(param) {
+    if (_.contains(param.inject, '$')) { modelReference(env, param.inject); }
+  });
 
-  var rollback = function() {
-    if (promise) { return promise; }
-    promise = transaction.rollback().execute().then(runPending).catch(next);
-    return promise;
-  };
+  // argument length is important to express. param routes always have the
+  // value & name following next.
+  var isErrorRoute = !opts.param && (expressParams.length === 4);
+  var nextIndex = isErrorRoute ? 3 : 2;
+  var expressRoute = isErrorRoute ?
+    makeExpressErrorRoute :
+    makeExpressStandardRoute;
+  if (opts.param) { expressRoute = makeExpressParamRoute; }
 
-  var triggerCommit = function(fn) {
-    return function() {
-      if (pending) {
-        pending.push(fn.apply.bind(fn, this, arguments));
-        commit();
+  var wrapper = expressRoute(function(args, req, res, next) {
+    var self = this;
+    var begun = hasTransaction(req);
+    var owned = opts.transaction && !begun;
+    var requestOptions = {
+      transaction: opts.transaction,
+      databases: databases,
+      mode: mode,
+    };
+    var attempt = 1;
+    var retryNext; // the next function for the current attempt
+
+    // failures to close the transaction (such as a failed commit) are handled
+    // by the current attempt so that they can be retried as well.
+    var closeNext = function() { return retryNext.apply(this, arguments); };
+
+    var run = function() {
+      var promise = Promise.resolve();
+      var savepoint; // name of the savepoint opened for this route
+
+      // retries are only possible when this route owns the transaction. the
+      // transaction will have been rolled back before this is called.
+      retryNext = function(err) {
+        var retryable = owned && arguments.length === 1 &&
+          attempt < retry.attempts &&
+          isRetryable(env, err) &&
+          res.azul._restart();
+
+        if (!retryable) { return next.apply(this, arguments); }
+
+        resetRequest(env, req, requestOptions);
+        return Promise.delay(retry.backoff(++attempt, err)).then(run);
+      };
+
+      setupRequest(env, req, requestOptions);
+      setupResponse(env, req, res, closeNext, responseOptions);
+
+      if (owned) {
+        promise = beginTransaction(env, req).catch(next);
       }
-      else {
-        fn.apply(this, arguments);
+      // when the savepoint cannot be opened, the route is not invoked & the
+      // error is handled like any other from the route.
+      else if (opts.savepoint && req.azul.transaction) {
+        promise = res.azul.savepoint()
+          .then(function(name) { savepoint = name; });
+      }
+
+      // wrap next now & all actions from this point forward should use the
+      // wrapped version so that if a transaction is active, it will be rolled
+      // back (and possibly retried). if a savepoint is active, only it will be
+      // rolled back & it will be released when next is called without error.
+      var routeNext = next;
+      if (hasTransaction(req)) {
+        routeNext = transactionNext(db, req, res, retryNext);
+      }
+      if (req.azul.transaction && opts.savepoint) {
+        routeNext = savepointNext(res, function() { return savepoint; }, routeNext);
+      }
+
+      // form express arguments
+      var expressArgs = _.take(args, expressParams.length);
+      if (expressArgs.length > nextIndex) {
+        expressArgs[nextIndex] = routeNext;
+      }
+
+      // setup the azul argument, binding queries and model classes
+      var query = req.azul.query;
+      var databases = req.azul.databases;
+      var records = req.azul.records;
+      var azulArgs = azulParams.map(function(param) {
+        var name = param.inject;
+        var database = databaseQueryName(env, name);
+        if (name === 'query') { return query; }
+        if (database) { return databases[database].query; }
+        if (_.has(env.providers, name)) { return undefined; } // see below
+        if (_.has(env.records, name)) { return records && records[name]; }
+        return requestModel(env, req, name);
+      });
+
+      // providers are resolved once the transaction has begun so that they
+      // run within it. only the values are injected (queries are thenable, so
+      // the arguments cannot simply be resolved together).
+      var provide = function() {
+        return Promise.each(azulParams, function(param, index) {
+          if (!_.has(env.providers, param.inject)) { return; }
+          return req.azul.resolve(param.inject).then(function(value) {
+            azulArgs[index] = value;
+          });
+        });
+      };
+
+      // combine args & bind function we're wrapping. generators that have
+      // not been wrapped are run as coroutines.
+      var wrapped = opts.wrap(fn);
+      if (isGenerator(wrapped)) { wrapped = Promise.coroutine(wrapped); }
+
+      // when the route returns a promise, it is complete once the promise is
+      // resolved & the savepoint can be released.
+      var invoke = function() {
+        var combinedArgs = [].concat(expressArgs, azulArgs);
+        var result = wrapped.apply(self, combinedArgs);
+        return result && _.isFunction(result.then) ?
+          Promise.resolve(result).tap(function() {
+            return releaseSavepoint(res, savepoint);
+          }) :
+          result;
+      };
+
+      if (_.any(azulParams, function(param) {
+        return _.has(env.providers, param.inject);
+      })) {
+        promise = promise.then(provide);
       }
+
+      return promise.then(invoke).catch(routeNext);
     };
-  };
 
-  res.writeHead = triggerCommit(res.writeHead);
-  res.write = triggerCommit(res.write);
-  res.end = triggerCommit(res.end);
-  res.azul = _.extend({}, res.azul, {
-    commit: commit,
-    rollback: rollback,
+    return run();
   });
+
+  wrapper.azulRoute = true;
+  return wrapper;
 };
 
 /**
- * Wrap a next function so that it performs a rollback on the transaction if
- * called with an error.
+ * Make Koa middleware that runs each request in a transaction. The transaction
+ * is committed once downstream middleware resolves (unless `commitWhen`
+ * rejects the status of the response) & rolled back if it throws. The request
+ * context is available as `ctx.azul`. Koa writes the response itself after the
+ * middleware has finished, so the response is not set up (see
+ * `setupResponse`) & its hooks & options are not available.
  *
- * @param {Database} db
+ * @param {Object} env
+ * @param {Object|Function} [options] The options or a predicate to use as
+ * `options.when`.
+ * @param {String} [options.isolation] The isolation level.
+ * @param {Boolean} [options.readOnly]
+ * @param {Array.<String>} [options.databases] The names of the databases on
+ * which to use transactions (defaults to all).
+ * @param {Array.<String>} [options.methods] See `transactionPolicy`.
+ * @param {Array.<String|RegExp>} [options.exclude] See `transactionPolicy`.
+ * @param {Function} [options.when] See `transactionPolicy`.
+ * @param {Function} [options.commitWhen] See `setupResponse`.
+ * @return {Function} The middleware.
+ */
+var koaMiddleware = function(env, options) {
+  var opts = _.isFunction(options) ? { when: options } : _.extend({}, options);
+  var mode = transactionMode(opts);
+  var databases = transactionDatabases(env, opts);
+  var policy = transactionPolicy(opts);
+  var shouldCommit = opts.commitWhen || commitWhen;
+  return function(ctx, next) {
+    var req = ctx.req;
+    var transaction = policy(req);
+    setupRequest(env, req, {
+      transaction: transaction,
+      databases: databases,
+      mode: mode,
+    });
+    ctx.azul = req.azul;
+
+    if (!transaction) { return Promise.resolve(next()); }
+
+    return beginTransaction(env, req)
+    .then(function() { return next(); })
+    .then(function() {
+      var action = shouldCommit(ctx.status) ? 'commit' : 'rollback';
+      return closeTransaction(env, req, action);
+    }, function(e) {
+      return closeTransaction(env, req, 'rollback').catch(_.noop).throw(e);
+    });
+  };
+};
+
+/**
+ * The default handling of errors for handlers wrapped for plain Node servers.
+ * The error is written as the response unless the response has already been
+ * sent.
+ *
+ * @param {Error} err
  * @param {Request} req
  * @param {Response} res
- * @param {Function} next
- * @return {Function}
  */
-var transactionNext = function(db, req, res, next) {
-  return function() {
-    var args = _.toArray(arguments);
-    var promise = Promise.resolve();
-    if (args.length === 1 && (args[0] instanceof Error)) {
-      promise = res.azul.rollback();
-    }
-    return promise.then(next.apply.bind(next, this, args)).catch(next);
-  };
+var handlerError = function(err, req, res) {
+  if (res.headersSent) { return; }
+  var status = err.status || err.statusCode || 500;
+  res.statusCode = status;
+  res.end(http.STATUS_CODES[status]);
 };
 
 /**
- * Make transaction middleware for a specific database.
+ * Wrap a handler for a plain Node `http` server. The handler is given the
+ * request & response followed by any Azul.js parameters, just as with `route`,
+ * and runs in a transaction by default. Handlers may also accept `next`, but
+ * there is no middleware after them. Errors (including those from handlers
+ * that return rejected promises) roll back the transaction & are then given to
+ * `options.onError`. Calling `next` without an error is handled as a 404.
  *
- * @param {Database} db
- * @return {Function} The middleware.
+ * @param {Object} env
+ * @param {Array} [declared] Declared parameters.
+ * @param {Function} fn The handler to wrap.
+ * @param {Object} [options] The same options as `route`.
+ * @param {Function} [options.onError] Handles errors. It is given the error,
+ * request & response.
+ * @return {Function} A request listener.
  */
-var transactionMiddleware = function(db) {
-  return function(req, res, next) {
-    setupRequest(db, req, { transaction: true });
-    setupResponse(db, req, res, next);
-    req.azul.transaction.begin().then(_.ary(next, 0), next);
+var wrapHandler = function(env, fn, options) {
+  var args = _.drop(arguments);
+  var declared = _.isArray(fn) ? args.shift() : undefined;
+  if (typeof args[0] !== 'function') { args.reverse(); } // options first
+  fn = args[0];
+  options = args[1];
+
+  var opts = _.defaults({}, options, {
+    transaction: true,
+    onError: handlerError,
+  });
+  var routeOptions = _.omit(opts, 'onError');
+  var wrapped = declared ?
+    route(env, declared, fn, routeOptions) :
+    route(env, fn, routeOptions);
+  return function(req, res) {
+    var next = function(err) {
+      var notFound = _.extend(new Error('Not Found'), { status: 404 });
+      opts.onError(err || notFound, req, res);
+    };
+    return wrapped.call(this, req, res, next);
   };
 };
 
 /**
- * Make error middleware. This assumes that the main middleware has already
- * been installed.
+ * Determine if a handler should be wrapped by a router. Functions that are
+ * already routes or middleware from this package, as well as Express
+ * applications & routers, are left alone. So are native & bound functions
+ * since their parameters cannot be parsed (unless they are declared).
  *
- * @param {Database} db
- * @return {Function} The middleware.
+ * @param {*} handler
+ * @return {Boolean}
  */
-var rollbackMiddleware = function(/*db*/) {
-  return function(err, req, res, next) {
-    var promise = res.azul ? res.azul.rollback() : Promise.resolve();
-    promise.return(err).then(next).catch(next);
-  };
+var isUnwrapped = function(handler) {
+  return typeof handler === 'function' &&
+    !handler.azulRoute &&
+    !handler.azulMiddleware &&
+    !(isNative(handler) && !handler.$inject) &&
+    typeof handler.handle !== 'function';
 };
 
 /**
- * Make a standard route for express. Pass the original arguments followed by
- * req, res, next to the wrapped function.
+ * Router methods that accept handlers.
  *
- * @param {Function} fn
- * @return {Function}
+ * @type {Array.<String>}
  */
-var makeExpressStandardRoute = function(fn) {
-  return function(req, res, next) {
-    return fn.call(this, _.toArray(arguments), req, res, next);
+var routerMethods = _.union(['all', 'use'], _.invoke(http.METHODS, 'toLowerCase'));
+
+/**
+ * Wrap the methods of an Express router (or route) that accept handlers so
+ * that all handlers are wrapped using `route`.
+ *
+ * @param {Object} env
+ * @param {Object} target The router or route.
+ * @param {Array.<String>} methods The methods to wrap.
+ * @param {Object} options Options for `route`.
+ * @return {Object} The target.
+ */
+var wrapHandlers = function(env, target, methods, options) {
+  var wrap = function(handler) {
+    if (_.isArray(handler)) { return handler.map(wrap); }
+    return isUnwrapped(handler) ? route(env, handler, options) : handler;
   };
+  methods.forEach(function(method) {
+    var original = target[method];
+    if (!original) { return; }
+    target[method] = function() {
+      return original.apply(this, _.map(arguments, wrap));
+    };
+  });
+  return target;
 };
 
 /**
- * Make an error route for express. Pass the original arguments followed by
- * req, res, next to the wrapped function.
+ * Make an Express router that wraps all handlers using `route`.
  *
- * @param {Function} fn
- * @return {Function}
+ * @param {Object} env
+ * @param {Object} [options] Options for the router & defaults for `route`.
+ * @param {Boolean} [options.caseSensitive] See `express.Router`.
+ * @param {Boolean} [options.mergeParams] See `express.Router`.
+ * @param {Boolean} [options.strict] See `express.Router`.
+ * @return {Router}
  */
-var makeExpressErrorRoute = function(fn) {
-  return function(err, req, res, next) {
-    return fn.call(this, _.toArray(arguments), req, res, next);
+var router = function(env, options) {
+  var express = require('express');
+  var routerKeys = ['caseSensitive', 'mergeParams', 'strict'];
+  var routeOptions = _.omit(options, routerKeys);
+  var paramOptions = _.extend({}, routeOptions, { param: true });
+  var result = express.Router(_.pick(options, routerKeys));
+  var createRoute = result.route;
+
+  wrapHandlers(env, result, routerMethods, routeOptions);
+  wrapHandlers(env, result, ['param'], paramOptions);
+
+  result.route = function() {
+    var expressRoute = createRoute.apply(this, arguments);
+    return wrapHandlers(env, expressRoute, routerMethods, routeOptions);
   };
+
+  return result;
 };
 
 /**
- * Create a model class binder function.
+ * Phrasing for row locks for each dialect. SQLite does not support row locks
+ * (it locks the whole database when writing), so no phrasing is provided.
  *
- * The resulting function should be called with the name of a model to bind. A
- * bound model will be created from that name. All relationships on that model
- * will also be bound properly. The result is a model that you can safely use
- * that has been bound to the query/transaction.
+ * @type {Object}
+ */
+var lockPhrasing = {
+  standard: { update: 'FOR UPDATE', share: 'FOR SHARE' },
+  mysql: { update: 'FOR UPDATE', share: 'LOCK IN SHARE MODE' },
+  sqlite3: {},
+};
+lockPhrasing.pg = lockPhrasing.standard;
+
+/**
+ * Add a row lock to a select query.
  *
  * @param {Database} db
- * @param {Request} req
- * @return {Function}
+ * @param {BaseQuery} query
+ * @param {String} [lock] Either `update` or `share`.
+ * @return {BaseQuery} The query.
  */
-var modelBinder = function(db, req) {
-  var query = req.azul.query;
-  var simple = !req.azul.transaction;
-  var bound = {};
-  var bind = function(/*name*/) {
-    var name = arguments[0].toLowerCase();
-    if (!bound[name] && simple) { bound[name] = db.model(name); }
-    else if (!bound[name]) {
-      var subclass = bound[name] = db.model(name).extend();
-      var prototype = subclass.__class__.prototype;
-
-      // create an override of each relation defined on the model with the
-      // relation's model classes swapped out for bound models. note that no
-      // re-configuration will occur for the relation objects. they'll simply
-      // use a different model class when creating or accessing instances.
-      _.keysIn(prototype).filter(function(key) {
-        return key.match(/Relation$/);
-      })
-      .forEach(function(key) {
-        // TODO: we're accessing protected variables on the relation here. it
-        // would be a good idea to expose a tested method in the main azul
-        // project that we're sure will exist.
-        var relation = Object.create(prototype[key]); // copy relation
-        relation._modelClass = bind(relation._modelClass.__name__);
-        relation._relatedModel = bind(relation._relatedModel.__name__);
-        Object.defineProperty(prototype, key, { // redefine property
-          enumerable: true, get: function() { return relation; },
-        });
-      });
+var lockQuery = function(db, query, lock) {
+  var phrase = lock && lockPhrasing[dialect(db)][lock];
+  if (!phrase) { return query; }
 
-      // redefine the query object on this model class
-      subclass.reopenClass({ query: query });
-    }
-    return bound[name];
-  };
-  return bind;
+  return overrideProtected(query, '_statement', function(statement) {
+    return function() {
+      var result = statement.apply(this, arguments);
+      return { sql: result.sql + ' ' + phrase, args: result.args };
+    };
+  });
 };
 
 /**
- * A wrapper for decorated Express routes that binds queries & model classes to
- * the transaction.
+ * The default handling for records that are not found by a param loader.
  *
- * @param {Database} db The Azul.js database on which bindings should be created.
- * @param {Function} fn The Express route to wrap.
- * @return {Function} The wrapped route.
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Function} next
+ * @param {String} value The value of the param.
+ * @param {String} name The name of the record.
+ */
+var recordNotFound = function(req, res, next, value, name) {
+  next(_.extend(new Error('Could not find ' + name + ' ' + value), {
+    code: 'NO_RESULTS_FOUND',
+    status: 404,
+    statusCode: 404,
+  }));
+};
+
+/**
+ * Make an Express param callback that loads a record through the model bound
+ * to the request (so it is loaded within the transaction when one is active).
+ * The record is stored as `req.azul.records[name]` & the name is registered so
+ * that the record can be injected into routes.
+ *
+ * @param {Object} env
+ * @param {String} name The name of the record.
+ * @param {String} model The name of the model.
+ * @param {Object} [options] Options, also passed on to `route`.
+ * @param {String} [options.key] The attribute to look up (defaults to `pk`).
+ * @param {String} [options.lock] Lock the row, `update` or `share`.
+ * @param {Function} [options.notFound] Called when no record is found with
+ * the request, response, next, param value & record name.
+ * @return {Function} The param callback.
  */
-var route = function(db, fn, options) {
+var param = function(env, name, model, options) {
   var opts = _.defaults({}, options, {
-    transaction: false,
-    wrap: _.identity,
+    key: 'pk',
+    lock: undefined,
+    notFound: recordNotFound,
   });
-
-  var match = fn.toString().match(/function.*?\((.*?)\)/i);
-  if (!match) {
-    throw new Error('Cannot create route for function: ' + fn.toString());
+  if (opts.lock && !_.has(lockPhrasing.standard, opts.lock)) {
+    throw new Error('Unknown lock: ' + opts.lock);
   }
-  var params = _.invoke(match[1].split(','), 'trim');
-  var isAzulParam = function(arg) { return arg.match(/^([A-Z]\w*|query)$/); };
-  var isExpressParam = _.negate(isAzulParam);
 
-  var expressParams = _(params)
-    .takeWhile(isExpressParam)
-    .value();
+  env.records[name] = model;
 
-  var azulParams = _(params)
-    .drop(expressParams.length)
-    .takeWhile(isAzulParam)
-    .value();
+  var load = function(req, res, next, value, Model) {
+    var conditions = _.object([opts.key], [value]);
+    var query = Model.objects.where(conditions).limit(1);
+    var db = env.databases[modelReference(env, model).database];
+    return lockQuery(db, query, opts.lock).fetchOne()
+    .then(function(record) {
+      req.azul.records = _.extend({}, req.azul.records, _.object([name], [record]));
+      next();
+    })
+    .catch(function(e) {
+      if (e.code !== 'NO_RESULTS_FOUND') { throw e; }
+      return opts.notFound(req, res, next, value, name);
+    });
+  };
 
-  if (expressParams.length + azulParams.length !== params.length) {
-    throw new Error('Unexpected arguments: ' + params.join(', '));
+  var routeOptions = _.omit(opts, 'key', 'lock', 'notFound');
+  var params = ['req', 'res', 'next', 'value', _.object(['Model'], [model])];
+  return route(env, params, load, _.extend(routeOptions, { param: true }));
+};
+
+/**
+ * Register a provider of a value that can be injected into routes by name. The
+ * provider is called with the request, its query, its models (see
+ * `requestModels`) & a function to resolve other providers the first time the
+ * value is needed for a request & may return a promise. Providers must be
+ * registered before the routes that use them are created.
+ *
+ * @param {Object} env
+ * @param {String} name The name of the provider.
+ * @param {Function} fn The provider.
+ */
+var provide = function(env, name, fn) {
+  if (!_.isFunction(fn)) {
+    throw new Error('Provider must be a function: ' + name);
   }
+  env.providers[name] = fn;
+};
 
-  // argument length is important to express
-  var isErrorRoute = (expressParams.length === 4);
-  var expressRoute = isErrorRoute ?
-    makeExpressErrorRoute :
-    makeExpressStandardRoute;
+/**
+ * Get the name of a database for test mode.
+ *
+ * @param {Object} env
+ * @param {Database|String} [db] The database (or its name). Defaults to the
+ * default database.
+ * @return {String}
+ */
+var testDatabase = function(env, db) {
+  var name = db === undefined ? env.name :
+    _.isString(db) ? db : _.findKey(env.databases, function(value) {
+      return value === db;
+    });
+  if (!env.databases[name]) {
+    throw new Error('Unknown database for test mode: ' + db);
+  }
+  return name;
+};
 
-  return expressRoute(function(args, req, res, next) {
-    var promise = Promise.resolve();
-    var begun = req.azul && req.azul.transaction;
-    setupRequest(db, req, { transaction: opts.transaction });
-    setupResponse(db, req, res, next);
+/**
+ * Isolate the tests of an integration suite by running each within a single
+ * transaction on the database. The transaction of each request becomes a
+ * savepoint within the transaction of the test & requests without a
+ * transaction run within it as well so that they see the same data.
+ *
+ * @param {Object} env
+ * @param {Object} [options]
+ * @param {Database|String} [options.db] The database (or its name). Defaults
+ * to the default database.
+ * @return {Promise} A promise that resolves once the transaction of the test
+ * has begun.
+ */
+var testMode = function(env, options) {
+  var name = testDatabase(env, _.get(options, 'db'));
+  var db = env.databases[name];
+  if (env.testing[name]) {
+    throw new Error('Test mode is already active for database: ' + name);
+  }
 
-    if (opts.transaction && !begun) {
-      promise = req.azul.transaction.begin().execute().catch(next);
-    }
+  var transaction = db.query.transaction();
+  env.testing[name] = {
+    transaction: transaction,
+    query: db.query.transaction(transaction),
+    savepoints: 0, // number of savepoints created for requests
+  };
+  return transaction.begin().execute()
+  .catch(function(e) { delete env.testing[name]; throw e; })
+  .return();
+};
 
-    // wrap next now & all actions from this point forward should use the
-    // wrapped version so that if a transaction is active, it will be rolled
-    // back.
-    if (req.azul.transaction) {
-      next = transactionNext(db, req, res, next);
-    }
+/**
+ * Get a query that runs within the transaction of the test, for instance to
+ * create fixtures that requests will see.
+ *
+ * @param {Object} env
+ * @param {Database|String} [db] The database (or its name). Defaults to the
+ * default database.
+ * @return {ChainedQuery}
+ */
+var testQuery = function(env, db) {
+  var name = testDatabase(env, db);
+  if (!env.testing[name]) {
+    throw new Error('Test mode is not active for database: ' + name);
+  }
+  return env.testing[name].query;
+};
 
-    // form express arguments
-    var expressArgs = _.take(args, expressParams.length);
-    if (expressArgs.length >= 3) {
-      expressArgs.splice(-1, 1, next);
-    }
+/**
+ * Roll back the transaction of the test on each database in test mode &
+ * leave test mode.
+ *
+ * @param {Object} env
+ * @return {Promise}
+ */
+var resetTestMode = function(env) {
+  var testing = env.testing;
+  env.testing = {};
+  return Promise.each(_.values(testing), function(test) {
+    return test.transaction.rollback().execute();
+  })
+  .return();
+};
 
-    // setup the azul argument, binding queries and model classes
-    var query = req.azul.query;
-    var binder = modelBinder(db, req);
-    var azulArgs = azulParams.map(function(arg) {
-      return arg === 'query' ? query : binder(arg);
-    });
+/**
+ * Determine if a value is an Azul.js database rather than a mapping of names
+ * to databases.
+ *
+ * @param {Object} value
+ * @return {Boolean}
+ */
+var isDatabase = function(value) {
+  return _.isFunction(value.model) && _.isObject(value.query);
+};
 
-    // combine args & bind function we're wrapping
-    var combinedArgs = [].concat(expressArgs, azulArgs);
-    var wrapped = opts.wrap(fn);
-    var bound = wrapped.apply.bind(wrapped, this, combinedArgs);
+module.exports = function(databases, options) {
+  if (isDatabase(databases)) { databases = { default: databases }; }
 
-    return promise.then(bound).catch(next);
+  var opts = _.defaults({}, options, {
+    replicas: [],
+    chooseReplica: roundRobin(),
+    primaryWindow: 0,
+    primaryCookie: 'azul-primary',
   });
-};
 
-module.exports = function(db) {
-  var fn = _.partial(route, db);
+  var name = _.first(_.keys(databases)); // the first is the default
+  var db = databases[name];
+  var env = {
+    db: db,
+    name: name,
+    databases: databases,
+    records: {}, // names of records (from `param`) mapped to models
+    testing: {}, // transactions of tests for each database (see `testMode`)
+    providers: {}, // names of providers mapped to functions (see `provide`)
+    shapes: _.mapValues(databases, function() { return {}; }), // see `modelShape`
+    replication: {
+      replicas: opts.replicas,
+      choose: opts.chooseReplica,
+      window: opts.primaryWindow,
+      cookie: opts.primaryCookie,
+    },
+  };
+  var fn = _.partial(route, env);
+
+  // the instance is an event emitter for transaction lifecycle & query events
+  _.extend(fn, EventEmitter.prototype);
+  EventEmitter.call(fn);
+  env.events = fn;
+
   fn.route = fn;
-  fn.transaction = transactionMiddleware(db);
+  fn.router = _.partial(router, env);
+  fn.param = _.partial(param, env);
+  fn.provide = _.partial(provide, env);
+  fn.transaction = transactionMiddlewareFactory(env);
   fn.rollback = rollbackMiddleware(db);
+  fn.errors = _.partial(errorMiddleware, env);
+  fn.errors.classify = _.partial(classifyError, env);
+  fn.idempotent = _.partial(idempotentMiddleware, env);
+  fn.idempotent.migration = idempotentMigration;
+  fn.timing = timingMiddleware;
+  fn.koa = _.partial(koaMiddleware, env);
+  fn.wrapHandler = _.partial(wrapHandler, env);
+  fn.testMode = _.partial(testMode, env);
+  fn.testMode.query = _.partial(testQuery, env);
+  fn.testMode.reset = _.partial(resetTestMode, env);
   fn.catch = fn.rollback;
   fn.error = fn.rollback;
   return fn;
 };
+
+/**
+ * Make Koa middleware for apps that do not need an instance for anything else.
+ *
+ * @param {Database|Object} databases The database or names mapped to databases.
+ * @param {Object|Function} [options] See `koaMiddleware`.
+ * @return {Function} The middleware.
+ */
+module.exports.koa = function(databases, options) {
+  return module.exports(databases).koa(options);
+};
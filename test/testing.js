@@ -0,0 +1,177 @@
+'use strict';
+
+var _ = require('lodash');
+var chai = require('chai');
+var expect = chai.expect;
+var azul = require('azul');
+
+var azulExpress = require('../index');
+var testing = require('../testing');
+
+describe('azul-express/testing', function() {
+  var ae, db, adapter, req, res, next;
+
+  beforeEach(function() {
+    adapter = testing.Adapter.create();
+    db = azul.Database.create({ adapter: adapter });
+    ae = azulExpress(db);
+    req = testing.request({ method: 'POST', url: '/articles' });
+    res = testing.response();
+    next = testing.spy();
+  });
+
+  describe('adapter', function() {
+    it('records statements & clients', function(done) {
+      db.query.select('articles').where({ id: 1 }).then(function() {
+        expect(adapter.executed).to.eql([
+          ['SELECT * FROM "articles" WHERE "id" = ?', [1]],
+        ]);
+        expect(adapter.clients.length).to.eql(1);
+        expect(function() { testing.expectCommitted(adapter); })
+          .to.throw(/but it was not closed/i);
+        return db.disconnect();
+      })
+      .then(done, done);
+    });
+
+    it('responds with rows', function(done) {
+      adapter.respond(/select/i, [{ id: 1 }]);
+      db.query.select('articles').then(function(result) {
+        expect(result.rows).to.eql([{ id: 1 }]);
+      })
+      .then(done, done);
+    });
+
+    it('fails statements', function(done) {
+      adapter.fail('select', { code: 'ECONNRESET' });
+      db.query.select('articles')
+      .then(function() { throw new Error('Expected failure'); })
+      .catch(function(e) {
+        expect(e.message).to.match(/intentional failure for select/i);
+        expect(e.code).to.eql('ECONNRESET');
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('spy', function() {
+    it('records calls', function(done) {
+      var spy = testing.spy();
+      spy(1, 2);
+      spy(3);
+      expect(spy.calls).to.eql([[1, 2], [3]]);
+      spy.wait.then(function(args) {
+        expect(args).to.eql([1, 2]);
+      })
+      .then(done, done);
+    });
+
+    it('calls through to a function', function() {
+      var spy = testing.spy(function(a) { return a * 2; });
+      expect(spy(2)).to.eql(4);
+    });
+
+    it('keeps the source of the function', function(done) {
+      var spy = testing.spy(function(req, res, query) {
+        return query.select('articles').then(function() { res.end(); });
+      });
+      ae.route(spy)(req, res, next);
+      res.waitFor('end').then(function() {
+        expect(spy.calls.length).to.eql(1);
+        expect(adapter.executed).to.eql(['SELECT * FROM "articles"']);
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('request', function() {
+    it('has defaults', function() {
+      expect(testing.request()).to.eql({ method: 'GET', url: '/', headers: {} });
+    });
+
+    it('accepts properties', function() {
+      expect(req.method).to.eql('POST');
+      expect(req.url).to.eql('/articles');
+    });
+  });
+
+  describe('response', function() {
+    it('records the response', function(done) {
+      res.writeHead(201, { 'Content-Type': 'text/plain' });
+      res.write('a', 'utf8', _.noop);
+      res.end('b');
+      res.waitFor('end').then(function() {
+        expect(res.statusCode).to.eql(201);
+        expect(res.getHeader('content-type')).to.eql('text/plain');
+        expect(res.body).to.eql('ab');
+        expect(res.headersSent).to.be.true;
+        expect(res.finished).to.be.true;
+      })
+      .then(done, done);
+    });
+
+    it('manages headers', function() {
+      res.setHeader('X-Custom', 'value');
+      expect(res.getHeader('x-custom')).to.eql('value');
+      res.removeHeader('X-Custom');
+      expect(res.getHeader('x-custom')).to.not.exist;
+    });
+
+    it('records calls made after the transaction closes', function(done) {
+      ae.transaction(req, res, next);
+      next.wait.then(function() {
+        res.end('done');
+        return res.waitFor('end');
+      })
+      .then(function(args) {
+        expect(args).to.eql(['done']);
+        expect(res.spies.end.calls).to.eql([['done']]);
+        expect(res.spies.write.calls).to.eql([]);
+        testing.expectCommitted(adapter);
+      })
+      .then(done, done);
+    });
+
+    it('accepts properties', function() {
+      expect(testing.response({ statusCode: 404 }).statusCode).to.eql(404);
+    });
+  });
+
+  describe('assertions', function() {
+    var route = function(status) {
+      return ae.route(function(req, res, query) {
+        return query.select('articles').then(function() {
+          res.writeHead(status);
+          res.end();
+        });
+      }, { transaction: true });
+    };
+
+    it('expects commits', function(done) {
+      route(200)(req, res, next);
+      res.waitFor('end').then(function() {
+        testing.expectCommitted(adapter);
+        expect(function() { testing.expectRolledBack(adapter); })
+          .to.throw(/expected the transaction to be rolled back but it was committed/i);
+      })
+      .then(done, done);
+    });
+
+    it('expects rollbacks', function(done) {
+      route(500)(req, res, next);
+      res.waitFor('end').then(function() {
+        testing.expectRolledBack(adapter);
+        expect(function() { testing.expectCommitted(adapter); })
+          .to.throw(/expected the transaction to be committed but it was rolled back/i);
+      })
+      .then(done, done);
+    });
+
+    it('fails without a transaction', function() {
+      expect(function() { testing.expectCommitted(adapter); })
+        .to.throw(/but it was not closed/i);
+      expect(function() { testing.expectRolledBack(adapter); })
+        .to.throw(/but it was not closed/i);
+    });
+  });
+});
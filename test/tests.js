@@ -5,59 +5,53 @@ var chai = require('chai');
 var expect = chai.expect;
 var sinon = require('sinon'); chai.use(require('sinon-chai'));
 var azul = require('azul');
+var EventEmitter = require('events').EventEmitter;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
 
 var ae, req, res, next, db, adapter;
 var azulExpress = require('../index');
+var testing = require('../testing');
+var Adapter = testing.Adapter;
 var Promise = require('bluebird');
 
-var Adapter = azul.Adapter.extend({
-  init: function() {
-    this._super.apply(this, arguments);
-    this._responders = [];
-    this.clients = [];
-    this.executed = [];
-  },
-  fail: function(sql) {
-    var responder = function(client, sql/*, args*/) {
-      throw new Error('Intentional failure for ' + sql);
-    };
-    responder.regex = new RegExp(sql, 'i');
-    this._responders.unshift(responder);
-  },
-  respond: function(regex, result) {
-    var responder = function(/*client, sql, args*/) {
-      return { rows: result, fields: [] };
-    };
-    responder.regex = regex;
-    this._responders.unshift(responder);
-  },
-  _connect: Promise.method(function() { return { id: ++this.__identity__.cid }; }),
-  _disconnect: Promise.method(function(/*client*/) {}),
-  _execute: Promise.method(function(client, sql, args) {
-    return Promise.delay(1).bind(this).then(function() {
-      var responder = _.find(this._responders,
-        function(r) { return sql.match(r.regex); });
-      var result = responder && responder(client, sql, args);
-      this.clients = _.uniq(this.clients.concat([client]));
-      this.executed.push(args.length ? [sql, args] : sql);
-      return result || { rows: [], fields: [] };
-    });
-  }),
-}, { cid: 0 });
-
-var pspy = function() {
-  var resolve;
-  var promise = new Promise(function() { resolve = arguments[0]; });
-  resolve.wait = promise;
-  return sinon.spy(resolve);
+// spies from the testing module do not depend on sinon, so they're wrapped to
+// allow sinon-chai assertions. the source of the function is kept so that
+// spies of routes can still be parsed.
+var pspy = function(fn) {
+  var spy = testing.spy(fn);
+  return _.extend(sinon.spy(spy), { wait: spy.wait, toString: spy.toString });
+};
+
+// create functions using syntax that may not be supported by all versions of
+// node. results in undefined when the syntax is not supported.
+var compile = function(source) {
+  /* jshint evil: true */
+  try { return new Function('return ' + source)(); }
+  catch (e) { return undefined; }
 };
 
-var rspy = function(route) {
-  return _.extend(sinon.spy(route), {
-    toString: route.toString.bind(route)
+// create a function that appears to have the given source
+var fake = function(source, fn) {
+  return _.extend(fn || function() {}, {
+    toString: _.constant(source),
   });
 };
 
+// check for a model class that is bound to the query of the request. bound
+// classes are subclasses of a shape that is shared between requests.
+var isBound = function(name) {
+  return function(model) {
+    return model.__super__.__super__ === db.model(name) &&
+      model.query === req.azul.query;
+  };
+};
+
+var bound = function(name) {
+  return sinon.match(isBound(name), 'bound ' + name);
+};
+
 describe('azul-express', function() {
   beforeEach(function() {
     adapter = Adapter.create();
@@ -170,485 +164,5167 @@ describe('azul-express', function() {
         .then(done, done);
       });
 
-    });
-
-  });
-
-  describe('rollback middleware', function() {
-
-    it('is always safe to use', function(done) {
-      var error = new Error('exepcted');
-      ae.rollback(error, req, res, next);
-      next.wait.then(function() {
-        expect(next.getCall(0).args[0]).to.equal(error);
-        expect(adapter.executed).to.eql([]);
-      }).then(done, done);
-    });
 
-    describe('with transaction middleware enabled', function() {
-      beforeEach(function(done) {
-        var setup = pspy();
-        ae.transaction(req, res, setup); // setup middleware
-        setup.wait.return().then(done, done);
+      it('rolls back on `end` with error status', function(done) {
+        res.statusCode = 422;
+        res.end('invalid');
+        res._end.wait.then(function() {
+          expect(res._end).to.have.been.calledWithExactly('invalid');
+          expect(adapter.clients.length).to.eql(1);
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        })
+        .then(done, done);
       });
 
-      it('performs rollback', function(done) {
-        var error = new Error('exepcted');
-        ae.rollback(error, req, res, next);
-        next.wait.then(function() {
-          expect(next.getCall(0).args[0]).to.equal(error);
-          expect(adapter.clients.length).to.eql(1);
+      it('rolls back on `writeHead` with error status', function(done) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end();
+        res._end.wait.then(function() {
+          expect(res._writeHead).to.have.been.calledWithExactly(500,
+            { 'Content-Type': 'text/plain' });
           expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
-        }).then(done, done);
+        })
+        .then(done, done);
       });
-    });
 
-  });
+      it('commits on `writeHead` with success status', function(done) {
+        res.statusCode = 500; // overridden by explicit status
+        res.writeHead(201);
+        res._writeHead.wait.then(function() {
+          expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        })
+        .then(done, done);
+      });
 
-  var articleRoute = function(req, res, query, Article) {
-    query.select('comments').then(function() {
-      return Article.objects.fetch();
-    })
-    .then(function() {
-      res.end();
     });
-  };
 
-  var articleErrorRoute = function(err, req, res, next, query, Article) {
-    Article; // use all params (jshint)
-    res.end();
-  };
+    describe('when begun with a commit decision', function() {
+      var commitWhen;
 
-  describe('wrapped route', function() {
+      beforeEach(function(done) {
+        commitWhen = sinon.spy(function(status, req, res) {
+          return status !== 409 && !res.rollback;
+        });
+        ae.transaction({ commitWhen: commitWhen })(req, res, next);
+        next.wait.return().then(done, done);
+      });
 
-    it('recognizes a next parameter', function() {
-      var route = ae.route(function(req, res, next) { next(); });
-      expect(route.length).to.eql(3);
-    });
+      it('uses the decision to commit', function(done) {
+        res.statusCode = 500;
+        res.end();
+        res._end.wait.then(function() {
+          expect(commitWhen).to.have.been.calledOnce;
+          expect(commitWhen).to.have.been.calledWithExactly(500, req, res);
+          expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        })
+        .then(done, done);
+      });
 
-    it('recognizes an error parameter', function() {
-      var route = ae.route(function(err, req, res, next) {
-        /* jshint unused: false */
+      it('uses the decision to roll back', function(done) {
+        res.rollback = true;
+        res.write('data');
+        res.end();
+        res._end.wait.then(function() {
+          expect(commitWhen).to.have.been.calledOnce;
+          expect(commitWhen).to.have.been.calledWithExactly(200, req, res);
+          expect(res._write).to.have.been.calledWithExactly('data');
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        })
+        .then(done, done);
       });
-      expect(route.length).to.eql(4);
     });
 
-    it('recognizes an error parameter with function body', function() {
-      var route = ae.route(function(err, req, res, next) { next(); });
-      expect(route.length).to.eql(4);
-    });
+    describe('with hooks', function() {
+      var hookError;
 
-    it('accepts unknown parameter configurations as standard express params', function() {
-      var route = ae.route(function(err, req, res, next, bad) {
-        /* jshint unused: false */
+      beforeEach(function(done) {
+        hookError = pspy();
+        ae.transaction({ hookError: hookError })(req, res, next);
+        next.wait.return().then(done, done);
       });
-      expect(route.length).to.eql(3);
-    });
 
-    it('throws for unkown params following azul params', function() {
-      expect(function() {
-        ae.route(function(err, req, res, query, Item, bad) {
-          /* jshint unused: false */
+      it('runs commit hooks after commit', function(done) {
+        var committed = pspy();
+        var rolledBack = sinon.spy();
+        res.azul.afterCommit(function() {
+          expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+          expect(res._end).to.have.been.called;
+          committed();
         });
-      }).to.throw(/unexpected arguments:.*query, item, bad/i);
-    });
-
-    it('throws when function cannot be parsed', function() {
-      var route = _.extend(function() {}, {
-        toString: function() { return 'unstringable'; },
+        res.azul.afterRollback(rolledBack);
+        res.end();
+        committed.wait.then(function() {
+          expect(rolledBack).to.not.have.been.called;
+        })
+        .then(done, done);
       });
-      expect(function() {
-        ae.route(route);
-      }).to.throw(/cannot create route.*function.*unstringable/i);
-    });
 
+      it('runs rollback hooks after rollback', function(done) {
+        var committed = sinon.spy();
+        var rolledBack = pspy();
+        res.azul.afterCommit(committed);
+        res.azul.afterRollback(rolledBack);
+        res.statusCode = 500;
+        res.end();
+        rolledBack.wait.then(function() {
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+          expect(committed).to.not.have.been.called;
+        })
+        .then(done, done);
+      });
 
-    describe('with azul params', function() {
-      beforeEach(function() {
-        this.route = ae.route(function(req, res, next, query, Article) {
-          /* jshint unused: false */
+      it('runs functions within the transaction before commit', function(done) {
+        res.azul.beforeCommit(function() {
+          return req.azul.query.insert('logs', { action: 'commit' });
         });
+        res.azul.beforeCommit(function() {
+          expect(res._end).to.not.have.been.called;
+        });
+        res.end();
+        res._end.wait.then(function() {
+          expect(adapter.clients.length).to.eql(1);
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            ['INSERT INTO "logs" ("action") VALUES (?)', ['commit']],
+            'COMMIT',
+          ]);
+        })
+        .then(done, done);
       });
 
-      it('generates a standard express route', function() {
-        expect(this.route.length).to.eql(3);
+      it('does not run functions before rollback', function(done) {
+        var prepare = sinon.spy();
+        var rolledBack = pspy();
+        res.azul.beforeCommit(prepare);
+        res.azul.afterRollback(rolledBack);
+        res.statusCode = 500;
+        res.end();
+        rolledBack.wait.then(function() {
+          res.azul.beforeCommit(prepare); // ignored once closed
+          return res.azul.commit();
+        })
+        .then(function() {
+          expect(prepare).to.not.have.been.called;
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        })
+        .then(done, done);
       });
-    });
 
-    it('allows execution of sql', function(done) {
-      var spy = rspy(articleRoute);
-      var route = ae.route(spy);
+      it('rolls back when a function run before commit fails', function(done) {
+        var rolledBack = pspy();
+        res.azul.beforeCommit(function() { throw new Error('prepare failure'); });
+        res.azul.afterRollback(rolledBack);
+        adapter.fail('rollback');
+        res.end();
+        rolledBack.wait.delay(5).then(function() {
+          expect(next.lastCall.args[0]).to.match(/prepare failure/i);
+          expect(res._end).to.not.have.been.called;
+          expect(adapter.executed).to.eql(['BEGIN']);
+        })
+        .then(done, done);
+      });
 
-      route(req, res, next).then(function() {
-        var query = spy.getCall(0).args.slice(-2)[0];
-        var Article = spy.getCall(0).args.slice(-2)[1];
-        expect(query).to.eql(req.azul.query);
-        expect(query).to.eql(db.query);
-        expect(Article.query).to.eql(req.azul.query);
-        expect(Article).to.equal(db.model('article'));
-        expect(adapter.executed).to.eql([]);
-        return res._end.wait;
-      })
-      .then(function() {
-        expect(adapter.executed).to.eql([
-          'SELECT * FROM "comments"',
-          'SELECT * FROM "articles"',
-        ]);
-      })
-      .then(done, done);
-    });
+      it('runs complete hooks in order with the outcome', function(done) {
+        var order = [];
+        var completed = pspy();
+        res.azul.afterComplete(function(committed) {
+          order.push(['complete', committed]);
+        });
+        res.azul.afterCommit(function() { order.push(['commit']); });
+        res.azul.afterComplete(completed);
+        res.end();
+        completed.wait.then(function() {
+          expect(order).to.eql([['complete', true], ['commit']]);
+                    expect(completed).to.have.been.calledWithExactly(true);
+        })
+        .then(done, done);
+      });
 
-    it('accepts promises as a return values', function(done) {
-      var promise = Promise.delay(5);
-      var route = ae.route(function() { return promise; });
+      it('waits for asynchronous hooks before running the next', function(done) {
+        var order = [];
+        var completed = pspy();
+        res.azul.afterCommit(function() {
+          return Promise.delay(5).then(function() { order.push('first'); });
+        });
+        res.azul.afterCommit(function() { order.push('second'); });
+        res.azul.afterComplete(completed);
+        res.end();
+        completed.wait.then(function() {
+          expect(order).to.eql(['first', 'second']);
+        })
+        .then(done, done);
+      });
 
-      route(req, res, next)
-      .then(function() {
-        expect(promise.isResolved()).to.eql(true);
-        expect(next).to.not.have.been.called;
-      })
-      .then(done, done);
-    });
+      it('runs hooks added after the transaction is closed', function(done) {
+        var committed = pspy();
+        var completed = pspy();
+        var rolledBack = sinon.spy();
+        res.azul.afterComplete(completed);
+        res.end();
+        completed.wait.then(function() {
+          res.azul.afterRollback(rolledBack);
+          res.azul.afterCommit(committed);
+          return committed.wait;
+        })
+        .then(function() {
+          expect(rolledBack).to.not.have.been.called;
+        })
+        .then(done, done);
+      });
 
-    it('allows wrapping', function(done) {
-      var wrapper;
-      var wrap = sinon.spy(function(fn) {
-        wrapper = sinon.spy(function() {
-          return fn.apply(this, arguments);
-        });
-        return wrapper;
+      it('runs hooks only once', function(done) {
+        var committed = sinon.spy();
+        var completed = pspy();
+        res.azul.afterCommit(committed);
+        res.azul.afterComplete(completed);
+        res.end();
+        res.end();
+        completed.wait.then(function() { return res.azul.commit(); })
+        .then(function() {
+          expect(committed).to.have.been.calledOnce;
+        })
+        .then(done, done);
       });
 
-      var emptyRoute = rspy(articleRoute);
-      var route = ae.route(emptyRoute, { wrap: wrap });
+      it('reports hook errors without affecting the response', function(done) {
+        var error = new Error('hook failure');
+        var committed = pspy();
+        res.azul.afterCommit(function() { throw error; });
+        res.azul.afterCommit(committed);
+        res.end('data');
+        hookError.wait.then(function() {
+          expect(hookError).to.have.been.calledWithExactly(error, req, res);
+          expect(res._end).to.have.been.calledWithExactly('data');
+          expect(next).to.have.been.calledOnce; // only by the middleware
+          return committed.wait.return();
+        })
+        .then(done, done);
+      });
 
-      route(req, res, next)
-      .then(function() {
-        expect(emptyRoute).to.have.been.calledOnce;
-        expect(emptyRoute).to.have.been.calledWithExactly(req, res, db.query, db.model('article'));
-        expect(wrapper).to.have.been.calledOnce;
-        expect(wrapper).to.have.been.calledWithExactly(req, res, db.query, db.model('article'));
-        expect(wrap).to.have.been.calledOnce;
-        expect(wrap).to.have.been.calledWithExactly(emptyRoute);
-      })
-      .then(done, done);
-    });
+      it('runs rollback hooks when commit fails', function(done) {
+        var committed = sinon.spy();
+        var rolledBack = pspy();
+        adapter.fail('COMMIT');
+        res.azul.afterCommit(committed);
+        res.azul.afterRollback(rolledBack);
+        res.end();
+        rolledBack.wait.then(function() {
+          expect(committed).to.not.have.been.called;
+        })
+        .then(done, done);
+      });
 
-    it('can call next', function(done) {
-      var route = ae.route(function(req, res, next, query) {
-        query; // use all params (jshint)
-        next();
+      it('runs rollback hooks for the rollback middleware', function(done) {
+        var rolledBack = pspy();
+        res.azul.afterRollback(rolledBack);
+        ae.rollback(new Error('expected'), req, res, sinon.spy());
+        rolledBack.wait.then(function() {
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        })
+        .then(done, done);
       });
 
-      route(req, res, next).then(function() {
-        return next.wait;
-      })
-      .then(function() {
-        expect(next).to.have.been.calledOnce;
-        expect(next).to.have.been.calledWithExactly();
-      })
-      .then(done, done);
+      it('runs rollback hooks when routes call next with an error', function(done) {
+        var rolledBack = pspy();
+        var route = ae.route(function(req, res, next) {
+          res.azul.afterRollback(rolledBack);
+          next(new Error('expected'));
+        });
+        route(req, res, sinon.spy());
+        rolledBack.wait.then(function() {
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        })
+        .then(done, done);
+      });
     });
 
-    describe('with transaction middleware enabled', function() {
+    describe('when the client disconnects', function() {
       beforeEach(function(done) {
-        var setup = pspy();
-        ae.transaction(req, res, setup); // setup middleware
-        setup.wait.return().then(done, done);
+        _.extend(req, EventEmitter.prototype);
+        _.extend(res, EventEmitter.prototype);
+        ae.transaction(req, res, next);
+        next.wait.return().then(done, done);
       });
 
-      it('executes sql in transaction', function(done) {
-        var spy = rspy(articleRoute);
-        var route = ae.route(spy);
+      it('rolls back when the request is aborted', function(done) {
+        var rolledBack = pspy();
+        res.azul.afterRollback(rolledBack);
+        req.emit('aborted');
+        rolledBack.wait.then(function() {
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        })
+        .then(done, done);
+      });
 
-        route(req, res, next).then(function() {
-          var query = spy.getCall(0).args.slice(-2)[0];
-          var Article = spy.getCall(0).args.slice(-2)[1];
-          expect(query).to.eql(req.azul.query);
-          expect(query.transaction()).to.eql(req.azul.transaction);
-          expect(Article.query).to.eql(req.azul.query);
+      it('rolls back when the response is closed', function(done) {
+        var rolledBack = pspy();
+        res.azul.afterRollback(rolledBack);
+        res.emit('close');
+        rolledBack.wait.then(function() {
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        })
+        .then(done, done);
+      });
+
+      it('does not roll back once a commit has started', function(done) {
+        res.end();
+        res.emit('close');
+        res._end.wait.then(function() {
+          expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        })
+        .then(done, done);
+      });
+    });
+
+    describe('with a timeout', function() {
+      beforeEach(function(done) {
+        ae.transaction({ timeout: 50 })(req, res, next);
+        next.wait.return().then(done, done);
+      });
+
+      it('rolls back & responds with a 503', function(done) {
+        res._end.wait.then(function() {
+          expect(res.statusCode).to.eql(503);
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+          expect(next).to.have.been.calledOnce; // only by the middleware
+        })
+        .then(done, done);
+      });
+
+      it('ignores later writes', function(done) {
+        res._end.wait.then(function() {
+          res.writeHead(200);
+          res.write('data');
+          res.end('data');
+          return res.azul.commit();
+        })
+        .then(function() {
+          expect(res._end).to.have.been.calledOnce;
+          expect(res._write).to.not.have.been.called;
+          expect(res._writeHead).to.not.have.been.called;
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        })
+        .then(done, done);
+      });
+
+      it('does not time out once the response is written', function(done) {
+        res.end();
+        res._end.wait.delay(60).then(function() {
+          expect(res._end).to.have.been.calledOnce;
+          expect(res.statusCode).to.not.exist;
+          expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        })
+        .then(done, done);
+      });
+    });
+
+    describe('with a timeout error', function() {
+      var failed;
+
+      beforeEach(function(done) {
+        var setup = pspy();
+        failed = pspy();
+        ae.transaction({ timeout: 10, timeoutError: true })(req, res,
+          function(err) { return err ? failed(err) : setup(); });
+        setup.wait.return().then(done, done);
+      });
+
+      it('rolls back & calls next with an error', function(done) {
+        failed.wait.spread(function(err) {
+          expect(err).to.match(/timed out/i);
+          expect(err.status).to.eql(503);
+          expect(err.code).to.eql('ETIMEDOUT');
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+          expect(res._end).to.not.have.been.called;
+        })
+        .then(done, done);
+      });
+
+      it('allows one response & ignores later writes', function(done) {
+        failed.wait.then(function() {
+          res.end('error');
+          res.end('data');
+          expect(res._end).to.have.been.calledOnce;
+          expect(res._end).to.have.been.calledWithExactly('error');
+        })
+        .then(done, done);
+      });
+
+      it('cannot be restarted', function(done) {
+        failed.wait.then(function() {
+          expect(res.azul._restart()).to.be.false;
+        })
+        .then(done, done);
+      });
+    });
+
+    describe('when committing on end', function() {
+      var output = function() {
+        return res._write.args.map(function(args) {
+          return String(args[0]);
+        }).join('');
+      };
+
+      var spilled = function() {
+        var prefix = 'azul-express-' + process.pid + '-';
+        return fs.readdirSync(os.tmpdir()).filter(function(name) {
+          return name.indexOf(prefix) === 0;
+        });
+      };
+
+      // the temporary file is created asynchronously
+      var waitForSpill = function() {
+        return spilled().length ?
+          Promise.resolve() :
+          Promise.delay(1).then(waitForSpill);
+      };
+
+      var setup = function(options) {
+        var wait = pspy();
+        var middleware = ae.transaction(_.extend({ commitOn: 'end' }, options));
+        middleware(req, res, function(err) { return err ? next(err) : wait(); });
+        return wait.wait.return();
+      };
+
+      it('buffers writes until the end', function(done) {
+        setup().then(function() {
+          res.write('a');
+          res.write(Buffer.from('b'));
+          res.write();
+          return Promise.delay(5);
+        })
+        .then(function() {
+          expect(res._write).to.not.have.been.called;
           expect(adapter.executed).to.eql(['BEGIN']);
+          res.end('c');
           return res._end.wait;
         })
         .then(function() {
-          expect(adapter.clients.length).to.eql(1);
-          expect(adapter.executed).to.eql([
-            'BEGIN',
-            'SELECT * FROM "comments"',
-            'SELECT * FROM "articles"',
-            'COMMIT'
-          ]);
+          expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+          expect(output()).to.eql('ab');
+          expect(res._end).to.have.been.calledWithExactly('c');
+        })
+        .then(done, done);
+      });
+
+      it('uses encodings & calls write callbacks', function(done) {
+        var callback = pspy();
+        setup().then(function() {
+          res.write('6869', 'hex', callback);
+          return callback.wait;
+        })
+        .then(function() {
+          res.end();
+          return res._end.wait;
+        })
+        .then(function() {
+          expect(output()).to.eql('hi');
+        })
+        .then(done, done);
+      });
+
+      it('uses the status given to writeHead to decide', function(done) {
+        setup().then(function() {
+          res.writeHead(500);
+          res.write('error');
+          res.end();
+          return res._end.wait;
+        })
+        .then(function() {
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+          expect(res._writeHead).to.have.been.calledWithExactly(500);
+          expect(output()).to.eql('error');
+        })
+        .then(done, done);
+      });
+
+      it('discards output when rolled back before the end', function(done) {
+        setup().then(function() {
+          res.writeHead(200);
+          res.write('partial');
+          return res.azul.rollback();
+        })
+        .then(function() {
+          res.end('error');
+          return res._end.wait;
+        })
+        .then(function() {
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+          expect(res._writeHead).to.not.have.been.called;
+          expect(res._write).to.not.have.been.called;
+          expect(res._end).to.have.been.calledWithExactly('error');
+        })
+        .then(done, done);
+      });
+
+      it('discards output when a route fails', function(done) {
+        var error = new Error('expected');
+        var route = ae.route(function(req, res, next) {
+          res.write('partial');
+          next(error);
+        });
+        setup().then(function() {
+          next = pspy();
+          route(req, res, next);
+          return next.wait;
+        })
+        .then(function() {
+          expect(next).to.have.been.calledWithExactly(error);
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+          expect(res._write).to.not.have.been.called;
+        })
+        .then(done, done);
+      });
+
+      it('flushes output when committed explicitly', function(done) {
+        setup().then(function() {
+          res.write('a');
+          res.azul.commit();
+          res.write('b');
+          res.end();
+          return res._end.wait;
+        })
+        .then(function() {
+          expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+          expect(output()).to.eql('ab');
+        })
+        .then(done, done);
+      });
+
+      it('spills to a temporary file', function(done) {
+        setup({ bufferLimit: 4 }).then(function() {
+          res.write('abc');
+          res.write('def');
+          res.write('ghi');
+          return waitForSpill();
+        })
+        .then(function() {
+          expect(spilled().length).to.eql(1);
+          res.end();
+          res.write('j');
+          return res._end.wait;
+        })
+        .delay(5)
+        .then(function() {
+          expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+          expect(output()).to.eql('abcdefghij');
+          expect(spilled()).to.eql([]);
+        })
+        .then(done, done);
+      });
+
+      it('creates temporary files readable only by the owner', function(done) {
+        setup({ bufferLimit: 1 }).then(function() {
+          res.write('abc');
+          return waitForSpill();
+        })
+        .then(function() {
+          var file = path.join(os.tmpdir(), spilled()[0]);
+          var permissions = fs.statSync(file).mode % 512; // lowest 9 bits
+          expect(permissions.toString(8)).to.eql('600');
+          return res.azul.rollback();
+        })
+        .delay(5)
+        .then(function() {
+          expect(spilled()).to.eql([]);
+        })
+        .then(done, done);
+      });
+
+      it('discards spilled output when the commit fails', function(done) {
+        adapter.fail('COMMIT');
+        setup({ bufferLimit: 4 }).then(function() {
+          res.write('abcdefghi');
+          return waitForSpill();
+        })
+        .then(function() {
+          res.end();
+          return next.wait;
+        })
+        .then(function() {
+          expect(next.getCall(0).args[0]).to.match(/intentional failure for commit/i);
+          res.statusCode = 500; // as an error handler would respond
+          res.end('error');
+          return res._end.wait;
+        })
+        .delay(5)
+        .then(function() {
+          expect(res._end).to.have.been.calledOnce;
+          expect(res._end).to.have.been.calledWithExactly('error');
+          expect(output()).to.eql('');
+          expect(spilled()).to.eql([]);
+        })
+        .then(done, done);
+      });
+
+      it('waits for drain when flushing a spilled file', function(done) {
+        _.extend(res, EventEmitter.prototype);
+        res.write = res._write = sinon.spy(function() {
+          setImmediate(function() { res.emit('drain'); });
+          return false;
+        });
+        setup({ bufferLimit: 1 }).then(function() {
+          res.write('abc');
+          res.end();
+          return res._end.wait;
+        })
+        .then(function() {
+          expect(output()).to.eql('abc');
+        })
+        .then(done, done);
+      });
+
+      it('removes spilled files when discarding output', function(done) {
+        setup({ bufferLimit: 1 }).then(function() {
+          res.write('abc');
+          return res.azul.rollback();
+        })
+        .delay(5)
+        .then(function() {
+          expect(spilled()).to.eql([]);
+        })
+        .then(done, done);
+      });
+
+      it('calls next when the file cannot be written', function(done) {
+        var tmpdir = sinon.stub(os, 'tmpdir').returns('/nonexistent/azul');
+        setup({ bufferLimit: 1 }).then(function() {
+          res.write('abc');
+        })
+        .delay(10) // allow the file to fail to open
+        .then(function() {
+          res.end();
+          return next.wait;
+        })
+        .finally(function() { tmpdir.restore(); })
+        .then(function() {
+          expect(next.getCall(0).args[0].code).to.eql('ENOENT');
+          expect(res._end).to.not.have.been.called;
+        })
+        .then(done, done);
+      });
+
+      it('calls next when the file cannot be read', function(done) {
+        var error = new Error('read failure');
+        var read = sinon.stub(fs, 'createReadStream', function() {
+          var stream = new EventEmitter();
+          setImmediate(function() { stream.emit('error', error); });
+          return stream;
+        });
+        setup({ bufferLimit: 1 }).then(function() {
+          res.write('abc');
+          res.end();
+          return next.wait;
+        })
+        .finally(function() { read.restore(); })
+        .then(function() {
+          expect(next.getCall(0).args[0]).to.equal(error);
+        })
+        .delay(5)
+        .then(function() {
+          expect(spilled()).to.eql([]);
+        })
+        .then(done, done);
+      });
+
+      it('sends the head before spilled output to a node server', function(done) {
+        var middleware = ae.transaction({ commitOn: 'end', bufferLimit: 10 });
+        var server = require('http').createServer(function(req, res) {
+          middleware(req, res, function(err) {
+            if (err) { return next(err); }
+            res.setHeader('Content-Type', 'text/plain');
+            res.write('spilled ');
+            res.write('output ');
+            res.end('ends');
+          });
+        });
+        new Promise(function(resolve) { server.listen(0, '127.0.0.1', resolve); })
+        .then(function() {
+          return new Promise(function(resolve, reject) {
+            var port = server.address().port;
+            require('http').get({ host: '127.0.0.1', port: port }, function(response) {
+              var body = '';
+              response.on('data', function(chunk) { body += chunk; });
+              response.on('end', function() { resolve([response, body]); });
+            })
+            .on('error', reject);
+          });
+        })
+        .spread(function(response, body) {
+          expect(response.statusCode).to.eql(200);
+          expect(response.headers['content-type']).to.eql('text/plain');
+          expect(body).to.eql('spilled output ends');
+          expect(next).to.not.have.been.called;
+          expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        })
+        .delay(5)
+        .then(function() {
+          expect(spilled()).to.eql([]);
         })
+        .finally(function() { server.close(); })
         .then(done, done);
       });
+
+      it('rejects unknown values', function() {
+        expect(function() {
+          ae.transaction({ commitOn: 'finish' });
+        }).to.throw(/unknown commitOn: finish/i);
+        expect(function() {
+          ae.route(function(req, res) { res.end(); }, { commitOn: 'finish' });
+        }).to.throw(/unknown commitOn: finish/i);
+      });
+    });
+
+    it('emits hook errors by default', function(done) {
+      var setup = pspy();
+      var error = new Error('hook failure');
+      var listener = pspy();
+      ae.on('hookError', listener);
+      ae.transaction(req, res, setup);
+      setup.wait.then(function() {
+        res.azul.afterComplete(function() { throw error; });
+        res.end();
+        return listener.wait;
+      })
+      .then(function() {
+        expect(listener).to.have.been.calledOnce;
+        expect(listener).to.have.been.calledWithExactly({
+          req: req,
+          res: res,
+          database: 'default',
+          transaction: req.azul.transaction,
+          error: error,
+        });
+      })
+      .then(done, done);
+    });
+
+    it('warns of hook errors without a listener', function(done) {
+      var setup = pspy();
+      var error = new Error('hook failure');
+      var emitWarning = process.emitWarning;
+      var warn = process.emitWarning = pspy();
+      ae.transaction(req, res, setup);
+      setup.wait.then(function() {
+        res.azul.afterComplete(function() { throw error; });
+        res.end();
+        return warn.wait;
+      })
+      .finally(function() { process.emitWarning = emitWarning; })
+      .then(function() {
+        expect(warn).to.have.been.calledOnce;
+        expect(warn).to.have.been.calledWithExactly(error);
+      })
+      .then(done, done);
     });
 
   });
 
-  describe('wrapped route w/ transaction', function() {
+  describe('middleware with options', function() {
 
-    it('allows execution of sql', function(done) {
-      var spy = rspy(articleRoute);
-      var route = ae.route(spy, { transaction: true });
+    it('is created when called with options', function() {
+      var middleware = ae.transaction({ isolation: 'serializable' });
+      expect(middleware).to.be.a('function');
+      expect(middleware).to.not.equal(ae.transaction);
+    });
+
+    it('is created when called without arguments', function(done) {
+      ae.transaction()(req, res, next);
+      next.wait.then(function() {
+        expect(adapter.executed).to.eql(['BEGIN']);
+      })
+      .then(done, done);
+    });
+
+    it('throws for unknown isolation levels', function() {
+      expect(function() {
+        ae.transaction({ isolation: 'chaos' });
+      }).to.throw(/unknown isolation level: chaos/i);
+    });
+
+    it('sets the isolation level', function(done) {
+      ae.transaction({ isolation: 'serializable' })(req, res, next);
+      next.wait.then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SET TRANSACTION ISOLATION LEVEL SERIALIZABLE',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('accepts camel case isolation levels', function(done) {
+      ae.transaction({ isolation: 'repeatableRead' })(req, res, next);
+      next.wait.then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SET TRANSACTION ISOLATION LEVEL REPEATABLE READ',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('sets read only', function(done) {
+      ae.transaction({ readOnly: true })(req, res, next);
+      next.wait.then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SET TRANSACTION READ ONLY',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('sets isolation level & read only on the transaction client', function(done) {
+      ae.transaction({ isolation: 'read committed', readOnly: true })(req, res, next);
+      next.wait.then(function() {
+        res.end();
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SET TRANSACTION ISOLATION LEVEL READ COMMITTED, READ ONLY',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('exposes the mode on the request', function(done) {
+      ae.transaction({ isolation: 'serializable' })(req, res, next);
+      next.wait.then(function() {
+        expect(req.azul.mode).to.eql({
+          isolation: 'SERIALIZABLE',
+          readOnly: false,
+        });
+      })
+      .then(done, done);
+    });
+
+    describe('with a policy', function() {
+      var middleware;
+
+      beforeEach(function() {
+        middleware = ae.transaction({
+          methods: ['post', 'PUT'],
+          exclude: [/^\/health/, '/static/'],
+        });
+      });
+
+      it('begins a transaction for matching requests', function(done) {
+        _.extend(req, { method: 'POST', url: '/articles?draft=1' });
+        middleware(req, res, next);
+        next.wait.then(function() {
+          expect(req.azul.transaction).to.exist;
+          expect(adapter.executed).to.eql(['BEGIN']);
+        })
+        .then(done, done);
+      });
+
+      it('skips the transaction for other methods', function(done) {
+        _.extend(req, { method: 'GET', url: '/articles' });
+        middleware(req, res, next);
+        next.wait.then(function() {
+          expect(next).to.have.been.calledWithExactly();
+          expect(req.azul.transaction).to.not.exist;
+          expect(req.azul.query).to.exist;
+          expect(res.azul).to.not.exist;
+          expect(adapter.executed).to.eql([]);
+        })
+        .then(done, done);
+      });
+
+      it('skips the transaction for excluded paths', function(done) {
+        _.extend(req, { method: 'POST', path: '/health/db' });
+        middleware(req, res, next);
+        next.wait.then(function() {
+          expect(req.azul.transaction).to.not.exist;
+          expect(adapter.executed).to.eql([]);
+        })
+        .then(done, done);
+      });
+
+      it('skips the transaction for paths below excluded strings', function(done) {
+        _.extend(req, { method: 'PUT', url: '/static/app.js' });
+        middleware(req, res, next);
+        next.wait.then(function() {
+          expect(req.azul.transaction).to.not.exist;
+        })
+        .then(done, done);
+      });
+
+      it('skips the transaction for excluded strings', function(done) {
+        _.extend(req, { method: 'PUT', url: '/static' });
+        middleware(req, res, next);
+        next.wait.then(function() {
+          expect(req.azul.transaction).to.not.exist;
+        })
+        .then(done, done);
+      });
+
+      it('accepts a predicate', function(done) {
+        var when = sinon.spy(function(req) { return req.url === '/txn'; });
+        _.extend(req, { url: '/other' });
+        ae.transaction(when)(req, res, next);
+        next.wait.then(function() {
+          expect(when).to.have.been.calledWithExactly(req);
+          expect(req.azul.transaction).to.not.exist;
+        })
+        .then(done, done);
+      });
+
+      it('accepts a predicate with other options', function(done) {
+        var when = function(req) { return req.url === '/txn'; };
+        _.extend(req, { url: '/txn' });
+        ae.transaction({ when: when, readOnly: true })(req, res, next);
+        next.wait.then(function() {
+          expect(req.azul.transaction).to.exist;
+          expect(adapter.executed).to.eql(['BEGIN', 'SET TRANSACTION READ ONLY']);
+        })
+        .then(done, done);
+      });
+
+      it('allows wrapped routes to bind models without a transaction', function(done) {
+        _.extend(req, { method: 'GET', url: '/articles' });
+        var spy = pspy(function(req, res, Article) {
+          return Article.objects.fetch().then(function() { res.end(); });
+        });
+        var route = ae.route(spy);
+
+        middleware(req, res, next);
+        next.wait.then(function() {
+          return route(req, res, next);
+        })
+        .then(function() {
+          var Article = spy.getCall(0).args[2];
+          expect(Article).to.satisfy(isBound('article'));
+          return res._end.wait;
+        })
+        .then(function() {
+          expect(adapter.executed).to.eql(['SELECT * FROM "articles"']);
+        })
+        .then(done, done);
+      });
+
+      it('allows wrapped routes to begin their own transaction', function(done) {
+        _.extend(req, { method: 'GET', url: '/articles' });
+        var route = ae.route(function(req, res) {
+          res.end();
+        }, { transaction: true });
+
+        middleware(req, res, next);
+        next.wait.then(function() {
+          return route(req, res, next);
+        })
+        .then(function() {
+          return res._end.wait;
+        })
+        .then(function() {
+          expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        })
+        .then(done, done);
+      });
+    });
+
+    describe('for mysql', function() {
+      beforeEach(function() {
+        adapter = Adapter.extend({}, { __name__: 'MySQLAdapter' }).create();
+        db = azul.Database.create({ adapter: adapter });
+        ae = azulExpress(db);
+      });
+
+      it('sets the mode before the transaction begins', function(done) {
+        ae.transaction({ isolation: 'serializable', readOnly: true })(req, res, next);
+        next.wait.then(function() {
+          expect(adapter.clients.length).to.eql(1);
+          expect(adapter.executed).to.eql([
+            'SET TRANSACTION ISOLATION LEVEL SERIALIZABLE, READ ONLY',
+            'BEGIN',
+          ]);
+        })
+        .then(done, done);
+      });
+    });
+
+    describe('for sqlite3', function() {
+      beforeEach(function() {
+        adapter = Adapter.extend({}, { __name__: 'SQLite3Adapter' }).create();
+        db = azul.Database.create({ adapter: adapter });
+        ae = azulExpress(db);
+      });
+
+      it('configures & resets the connection', function(done) {
+        ae.transaction({ isolation: 'read uncommitted', readOnly: true })(req, res, next);
+        next.wait.then(function() {
+          res.end();
+          return res._end.wait;
+        })
+        .then(function() {
+          expect(adapter.clients.length).to.eql(1);
+          expect(adapter.executed).to.eql([
+            'PRAGMA read_uncommitted = 1',
+            'PRAGMA query_only = 1',
+            'BEGIN',
+            'COMMIT',
+            'PRAGMA read_uncommitted = 0',
+            'PRAGMA query_only = 0',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('resets the connection when the transaction cannot begin', function(done) {
+        adapter.fail('BEGIN');
+        ae.transaction({ readOnly: true })(req, res, next);
+        next.wait.then(function() {
+          expect(next.getCall(0).args[0]).to.match(/intentional failure for begin/i);
+          expect(adapter.executed).to.eql([
+            'PRAGMA query_only = 1',
+            'PRAGMA query_only = 0',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('resets the connection when the commit fails', function(done) {
+        adapter.fail('COMMIT', { code: 'SQLITE_BUSY' });
+        var setup = pspy();
+        ae.transaction({ readOnly: true })(req, res,
+          function(err) { return err ? next(err) : setup(); });
+        setup.wait.then(function() {
+          res.end();
+          return next.wait;
+        })
+        .then(function() {
+          expect(next.getCall(0).args[0].code).to.eql('SQLITE_BUSY');
+          expect(adapter.executed).to.eql([
+            'PRAGMA query_only = 1',
+            'BEGIN',
+            'PRAGMA query_only = 0',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('ignores failures to reset after a failure', function(done) {
+        adapter.fail('BEGIN');
+        adapter.fail('query_only = 0');
+        ae.transaction({ readOnly: true })(req, res, next);
+        next.wait.then(function() {
+          expect(next.getCall(0).args[0]).to.match(/intentional failure for begin/i);
+        })
+        .then(done, done);
+      });
+
+      it('does nothing for serializable transactions', function(done) {
+        ae.transaction({ isolation: 'serializable' })(req, res, next);
+        next.wait.then(function() {
+          expect(adapter.executed).to.eql(['BEGIN']);
+        })
+        .then(done, done);
+      });
+    });
+
+  });
+
+  describe('rollback middleware', function() {
+
+    it('is always safe to use', function(done) {
+      var error = new Error('exepcted');
+      ae.rollback(error, req, res, next);
+      next.wait.then(function() {
+        expect(next.getCall(0).args[0]).to.equal(error);
+        expect(adapter.executed).to.eql([]);
+      }).then(done, done);
+    });
+
+    describe('with transaction middleware enabled', function() {
+      beforeEach(function(done) {
+        var setup = pspy();
+        ae.transaction(req, res, setup); // setup middleware
+        setup.wait.return().then(done, done);
+      });
+
+      it('performs rollback', function(done) {
+        var error = new Error('exepcted');
+        ae.rollback(error, req, res, next);
+        next.wait.then(function() {
+          expect(next.getCall(0).args[0]).to.equal(error);
+          expect(adapter.clients.length).to.eql(1);
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        }).then(done, done);
+      });
+    });
+
+  });
+
+  describe('idempotent', function() {
+    var idempotent, rows;
+
+    beforeEach(function(done) {
+      rows = [];
+      req.method = 'POST';
+      req.headers = { 'idempotency-key': 'abc' };
+      adapter.respond(/select.*from "azul_idempotency_keys"/i, rows);
+      idempotent = ae.idempotent();
+      ae.transaction(req, res, next);
+      next.wait.then(function() { next = pspy(); }).then(done, done);
+    });
+
+    var statements = function() {
+      return _.map(adapter.executed, function(statement) {
+        return _.isArray(statement) ? statement[0] : statement;
+      });
+    };
+
+    var body = function() {
+      return JSON.parse(res._end.getCall(0).args[0]);
+    };
+
+    it('records the key & saves the response in the same commit', function(done) {
+      idempotent(req, res, next);
+      next.wait.then(function() {
+        expect(next).to.have.been.calledWithExactly();
+        res.writeHead(201, { 'Content-Type': 'application/json' });
+        res.write('{"id":');
+        res.end(Buffer.from('1}'));
+        return res._end.wait;
+      })
+      .then(function() {
+        var insert = adapter.executed[2];
+        var update = adapter.executed[3];
+        expect(statements()).to.eql([
+          'BEGIN',
+          'SELECT * FROM "azul_idempotency_keys" WHERE "key" = ? LIMIT 1',
+          'INSERT INTO "azul_idempotency_keys" ("key", "created") VALUES (?, ?)',
+          'UPDATE "azul_idempotency_keys" SET "status" = ?, "headers" = ?, ' +
+            '"body" = ? WHERE "key" = ?',
+          'COMMIT',
+        ]);
+        expect(insert[1][0]).to.eql('abc');
+        expect(insert[1][1]).to.be.an.instanceOf(Date);
+        expect(update[1]).to.eql([
+          201, '{"Content-Type":"application/json"}',
+          Buffer.from('{"id":1}').toString('base64'), 'abc',
+        ]);
+        expect(_.pluck(req.azul.queries, 'sql')).to.eql([update[0]]);
+        expect(res._writeHead).to.have.been.calledWithExactly(201,
+          { 'Content-Type': 'application/json' });
+        expect(res._write).to.have.been.calledWithExactly('{"id":');
+        expect(res._end).to.have.been.calledOnce;
+        expect(res._write).to.have.been.calledBefore(res._end);
+      })
+      .then(done, done);
+    });
+
+    it('saves headers that were set & the status code', function(done) {
+      res.statusCode = 202;
+      res.getHeaders = function() { return { 'x-request': '1' }; };
+      idempotent(req, res, next);
+      next.wait.then(function() {
+        res.write('café', 'utf8');
+        res.end(function() {});
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.executed[3][1]).to.eql([
+          202, '{"x-request":"1"}', Buffer.from('café').toString('base64'), 'abc',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('replays saved responses', function(done) {
+      rows.push({
+        key: 'abc',
+        status: 201,
+        headers: '{"Content-Type":"application/json"}',
+        body: Buffer.from('{"id":1}').toString('base64'),
+        created: new Date(),
+      });
+      idempotent(req, res, next);
+      res._end.wait.then(function() {
+        expect(next).to.not.have.been.called;
+        expect(statements()).to.eql([
+          'BEGIN',
+          'SELECT * FROM "azul_idempotency_keys" WHERE "key" = ? LIMIT 1',
+          'ROLLBACK',
+        ]);
+        expect(res._writeHead).to.have.been.calledWithExactly(201,
+          { 'Content-Type': 'application/json' });
+        expect(res._end).to.have.been.calledWithExactly(Buffer.from('{"id":1}'));
+      })
+      .then(done, done);
+    });
+
+    it('saves & replays binary responses', function(done) {
+      var image = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0xff, 0x00, 0xfe]);
+      idempotent(req, res, next);
+      next.wait.then(function() {
+        res.end(image);
+        return res._end.wait;
+      })
+      .then(function() {
+        var saved = adapter.executed[3][1][2];
+        rows.push({ key: 'abc', status: 200, headers: '{}', body: saved,
+          created: new Date() });
+        req = { method: 'POST', headers: req.headers };
+        res = { end: pspy(), writeHead: pspy() };
+        res._end = res.end;
+        ae.transaction(req, res, _.noop);
+        idempotent(req, res, next);
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(res._end.getCall(0).args[0].equals(image)).to.be.true;
+      })
+      .then(done, done);
+    });
+
+    it('responds with a 409 while in progress', function(done) {
+      rows.push({ key: 'abc', status: null, created: new Date() });
+      idempotent(req, res, next);
+      res._end.wait.then(function() {
+        expect(next).to.not.have.been.called;
+        expect(_.last(statements())).to.eql('ROLLBACK');
+        expect(res._writeHead).to.have.been.calledWith(409);
+        expect(body()).to.eql({
+          error: {
+            type: 'inProgress',
+            message: 'A request with this idempotency key is in progress',
+          },
+        });
+      })
+      .then(done, done);
+    });
+
+    it('responds with a 409 when another request records the key', function(done) {
+      adapter.fail('insert into "azul_idempotency_keys"', { code: '23505' });
+      idempotent(req, res, next);
+      res._end.wait.then(function() {
+        expect(next).to.not.have.been.called;
+        expect(_.last(statements())).to.eql('ROLLBACK');
+        expect(res._writeHead).to.have.been.calledWith(409);
+        expect(body().error.type).to.eql('inProgress');
+      })
+      .then(done, done);
+    });
+
+    it('replaces expired keys', function(done) {
+      rows.push({ key: 'abc', status: 201, created: new Date(0) });
+      idempotent(req, res, next);
+      next.wait.then(function() {
+        expect(next).to.have.been.calledWithExactly();
+        expect(statements()).to.eql([
+          'BEGIN',
+          'SELECT * FROM "azul_idempotency_keys" WHERE "key" = ? LIMIT 1',
+          'DELETE FROM "azul_idempotency_keys" WHERE "key" = ?',
+          'INSERT INTO "azul_idempotency_keys" ("key", "created") VALUES (?, ?)',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('replaces keys left in progress', function(done) {
+      rows.push({ key: 'abc', status: null, created: new Date(Date.now() - 60001) });
+      idempotent(req, res, next);
+      next.wait.then(function() {
+        expect(next).to.have.been.calledWithExactly();
+        expect(statements().slice(2)).to.eql([
+          'DELETE FROM "azul_idempotency_keys" WHERE "key" = ?',
+          'INSERT INTO "azul_idempotency_keys" ("key", "created") VALUES (?, ?)',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('forgets keys when rolled back', function(done) {
+      var rolledBack = pspy();
+      idempotent(req, res, next);
+      next.wait.then(function() {
+        res.azul.afterRollback(rolledBack);
+        res.writeHead(500);
+        res.end();
+        return res._end.wait;
+      })
+      .then(function() { return rolledBack.wait; })
+      .delay(5) // allow the key to be deleted
+      .then(function() {
+        expect(statements().slice(3)).to.eql([
+          'ROLLBACK',
+          'DELETE FROM "azul_idempotency_keys" WHERE "key" = ?',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('rolls back when the response cannot be saved', function(done) {
+      adapter.fail('update "azul_idempotency_keys"');
+      idempotent(req, res, next);
+      next.wait.then(function() {
+        next = pspy();
+        res.azul.afterRollback(next);
+        res.end('data');
+        return next.wait;
+      })
+      .delay(5) // allow the key to be deleted
+      .then(function() {
+        expect(res._end).to.not.have.been.called;
+        expect(statements().slice(3)).to.eql([
+          'ROLLBACK',
+          'DELETE FROM "azul_idempotency_keys" WHERE "key" = ?',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('passes other errors on', function(done) {
+      adapter.fail('select');
+      idempotent(req, res, next);
+      next.wait.then(function() {
+        expect(next.getCall(0).args[0]).to.match(/intentional failure/i);
+        expect(res._end).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('does nothing without a key', function(done) {
+      req.headers = {};
+      idempotent(req, res, next);
+      next.wait.then(function() {
+        expect(next).to.have.been.calledWithExactly();
+        expect(adapter.executed).to.eql(['BEGIN']);
+      })
+      .then(done, done);
+    });
+
+    it('does nothing without a transaction', function(done) {
+      var other = { method: 'GET', headers: req.headers };
+      ae.transaction({ methods: ['POST'] })(other, {}, _.noop);
+      idempotent(other, {}, next);
+      next.wait.then(function() {
+        expect(next).to.have.been.calledWithExactly();
+        expect(adapter.executed).to.eql(['BEGIN']);
+      })
+      .then(done, done);
+    });
+
+    it('accepts a table & ttl', function(done) {
+      rows.push({ key: 'abc', status: 201, created: new Date() });
+      adapter.respond(/select.*from "keys"/i, rows);
+      ae.idempotent({ table: 'keys', ttl: 0 })(req, res, next);
+      next.wait.then(function() {
+        expect(statements()).to.eql([
+          'BEGIN',
+          'SELECT * FROM "keys" WHERE "key" = ? LIMIT 1',
+          'DELETE FROM "keys" WHERE "key" = ?',
+          'INSERT INTO "keys" ("key", "created") VALUES (?, ?)',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('accepts a ttl for keys in progress', function(done) {
+      rows.push({ key: 'abc', status: null, created: new Date(Date.now() - 10) });
+      ae.idempotent({ inProgressTtl: 5 })(req, res, next);
+      next.wait.then(function() {
+        expect(next).to.have.been.calledWithExactly();
+        expect(statements()).to.contain(
+          'DELETE FROM "azul_idempotency_keys" WHERE "key" = ?');
+      })
+      .then(done, done);
+    });
+
+    it('provides a migration', function(done) {
+      var migration = ae.idempotent.migration();
+      migration.up(db.schema).then(function() {
+        return migration.down(db.schema);
+      })
+      .then(function() {
+        return ae.idempotent.migration({ table: 'keys' }).down(db.schema);
+      })
+      .then(function() {
+        expect(statements().slice(1)).to.eql([
+          'CREATE TABLE "azul_idempotency_keys" (' +
+            '"key" varchar(255) PRIMARY KEY, "status" integer, ' +
+            '"headers" text, "body" text, "created" datetime NOT NULL)',
+          'DROP TABLE "azul_idempotency_keys"',
+          'DROP TABLE "keys"',
+        ]);
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('error middleware', function() {
+    var unique;
+
+    beforeEach(function() {
+      unique = _.extend(new Error('duplicate key value'), {
+        code: '23505',
+        constraint: 'users_email_key',
+        table: 'users',
+        detail: 'Key (email)=(whitney@example.com) already exists.',
+      });
+    });
+
+    var body = function() {
+      return JSON.parse(res._end.getCall(0).args[0]);
+    };
+
+    describe('classification', function() {
+      var classify = function(err, name) {
+        if (name) { adapter.__identity__.__name__ = name; }
+        var error = err instanceof Error ? err : _.extend(new Error(err.message), err);
+        try { return ae.errors.classify(error); }
+        finally { delete adapter.__identity__.__name__; }
+      };
+
+      var details = function(error) {
+        return error && _.pick(error, 'type', 'status', 'constraint', 'table',
+          'column');
+      };
+
+      it('classifies unique violations', function() {
+        var error = ae.errors.classify(unique);
+        expect(error).to.be.an.instanceOf(Error);
+        expect(error.message).to.eql('Unique constraint violated');
+        expect(error.statusCode).to.eql(409);
+        expect(error.cause).to.equal(unique);
+        expect(details(error)).to.eql({
+          type: 'unique',
+          status: 409,
+          constraint: 'users_email_key',
+          table: 'users',
+          column: 'email',
+        });
+      });
+
+      it('classifies pg errors', function() {
+        expect(details(classify({
+          code: '23503',
+          constraint: 'articles_author_id_fkey',
+          table: 'articles',
+          detail: 'Key (author_id)=(5) is not present in table "authors".',
+        }, 'PGAdapter'))).to.eql({
+          type: 'foreignKey',
+          status: 409,
+          constraint: 'articles_author_id_fkey',
+          table: 'articles',
+          column: 'author_id',
+        });
+        expect(details(classify({
+          code: '23502', table: 'articles', column: 'title',
+        }, 'PGAdapter'))).to.eql({
+          type: 'notNull', status: 422, table: 'articles', column: 'title',
+        });
+        expect(details(classify({
+          code: '23514', table: 'articles', constraint: 'positive_price',
+        }, 'PGAdapter'))).to.eql({
+          type: 'check', status: 422, table: 'articles', constraint: 'positive_price',
+        });
+        expect(details(classify({ code: '40P01' }, 'PGAdapter')))
+          .to.eql({ type: 'serialization', status: 503 });
+        expect(details(classify({ code: '57P01' }, 'PGAdapter')))
+          .to.eql({ type: 'connection', status: 503 });
+      });
+
+      it('classifies mysql errors', function() {
+        expect(details(classify({
+          code: 'ER_DUP_ENTRY',
+          message: 'ER_DUP_ENTRY: Duplicate entry \'whitney@example.com\' ' +
+            'for key \'users.users_email_unique\'',
+        }, 'MySQLAdapter'))).to.eql({
+          type: 'unique', status: 409, constraint: 'users_email_unique',
+        });
+        expect(details(classify({
+          code: 'ER_NO_REFERENCED_ROW_2',
+          message: 'ER_NO_REFERENCED_ROW_2: Cannot add or update a child ' +
+            'row: a foreign key constraint fails (`blog`.`articles`, ' +
+            'CONSTRAINT `articles_author_id_foreign` FOREIGN KEY ' +
+            '(`author_id`) REFERENCES `authors` (`id`))',
+        }, 'MySQLAdapter'))).to.eql({
+          type: 'foreignKey',
+          status: 409,
+          constraint: 'articles_author_id_foreign',
+          table: 'articles',
+          column: 'author_id',
+        });
+        expect(details(classify({
+          code: 'ER_BAD_NULL_ERROR',
+          message: 'ER_BAD_NULL_ERROR: Column \'title\' cannot be null',
+        }, 'MySQLAdapter'))).to.eql({
+          type: 'notNull', status: 422, column: 'title',
+        });
+        expect(details(classify({
+          code: 'ER_CHECK_CONSTRAINT_VIOLATED',
+          message: 'ER_CHECK_CONSTRAINT_VIOLATED: Check constraint ' +
+            '\'positive_price\' is violated.',
+        }, 'MySQLAdapter'))).to.eql({
+          type: 'check', status: 422, constraint: 'positive_price',
+        });
+        expect(details(classify({ code: 'ER_LOCK_DEADLOCK' }, 'MySQLAdapter')))
+          .to.eql({ type: 'serialization', status: 503 });
+        expect(details(classify({
+          code: 'PROTOCOL_CONNECTION_LOST',
+        }, 'MySQLAdapter'))).to.eql({ type: 'connection', status: 503 });
+      });
+
+      it('classifies sqlite errors', function() {
+        var constraint = function(message) {
+          return { code: 'SQLITE_CONSTRAINT', message: message };
+        };
+        expect(details(classify(constraint(
+          'SQLITE_CONSTRAINT: UNIQUE constraint failed: users.email'
+        ), 'SQLite3Adapter'))).to.eql({
+          type: 'unique', status: 409, table: 'users', column: 'email',
+        });
+        expect(details(classify(constraint(
+          'SQLITE_CONSTRAINT: FOREIGN KEY constraint failed'
+        ), 'SQLite3Adapter'))).to.eql({ type: 'foreignKey', status: 409 });
+        expect(details(classify(constraint(
+          'SQLITE_CONSTRAINT: NOT NULL constraint failed: articles.title'
+        ), 'SQLite3Adapter'))).to.eql({
+          type: 'notNull', status: 422, table: 'articles', column: 'title',
+        });
+        expect(details(classify(constraint(
+          'SQLITE_CONSTRAINT: CHECK constraint failed: positive_price'
+        ), 'SQLite3Adapter'))).to.eql({
+          type: 'check', status: 422, constraint: 'positive_price',
+        });
+        expect(details(classify({ code: 'SQLITE_BUSY' }, 'SQLite3Adapter')))
+          .to.eql({ type: 'serialization', status: 503 });
+        expect(details(classify(constraint(
+          'SQLITE_CONSTRAINT: PRIMARY KEY must be unique'
+        ), 'SQLite3Adapter'))).to.not.exist;
+      });
+
+      it('classifies lost connections for any dialect', function(done) {
+        adapter.fail('SELECT', { code: 'ECONNRESET' });
+        adapter.fail('COMMIT', { code: 'ECONNREFUSED' });
+        var setup = pspy();
+        ae.transaction(req, res, function(err) { return err ? next(err) : setup(); });
+        setup.wait.then(function() {
+          return req.azul.query.select('articles').then(null, _.identity);
+        })
+        .then(function(error) {
+          expect(error.code).to.eql('ECONNRESET');
+          expect(details(classify(error)))
+            .to.eql({ type: 'connection', status: 503 });
+          res.end();
+          return next.wait;
+        })
+        .then(function() {
+          var error = next.getCall(0).args[0];
+          expect(error.code).to.eql('ECONNREFUSED');
+          expect(details(classify(error, 'MySQLAdapter')))
+            .to.eql({ type: 'connection', status: 503 });
+        })
+        .then(done, done);
+      });
+
+      it('leaves adapter failures that are not errors alone', function(done) {
+        var execute = sinon.stub(adapter, 'execute')
+          .returns(Promise.reject('failure'));
+        ae.route(function(req, res, query) {
+          return query.select('articles');
+        })(req, res, next)
+        .finally(function() { execute.restore(); })
+        .then(function() {
+          expect(next).to.have.been.calledOnce;
+          expect(ae.errors.classify(next.getCall(0).args[0])).to.not.exist;
+        })
+        .then(done, done);
+      });
+
+      it('does not classify network errors from elsewhere', function(done) {
+        expect(classify({ code: 'ECONNRESET' })).to.not.exist;
+        expect(classify({ code: 'EPIPE' }, 'MySQLAdapter')).to.not.exist;
+        ae.transaction({ timeout: 10, timeoutError: true })(req, res,
+          function(err) { if (err) { next(err); } });
+        next.wait.then(function() {
+          var error = next.getCall(0).args[0];
+          expect(error.code).to.eql('ETIMEDOUT');
+          expect(ae.errors.classify(error)).to.not.exist;
+        })
+        .then(done, done);
+      });
+
+      it('classifies errors from any of the databases', function() {
+        var mysqlAdapter = Adapter.create();
+        mysqlAdapter.__identity__.__name__ = 'MySQLAdapter';
+        var mysqlDB = azul.Database.create({ adapter: mysqlAdapter });
+        ae = azulExpress({ main: db, audit: mysqlDB });
+        try {
+          expect(details(classify({ code: 'ER_ROW_IS_REFERENCED_2' })))
+            .to.eql({ type: 'foreignKey', status: 409 });
+          expect(details(classify({ code: '23502' })))
+            .to.eql({ type: 'notNull', status: 422 });
+        }
+        finally { delete mysqlAdapter.__identity__.__name__; }
+      });
+
+      it('does not classify other errors', function() {
+        expect(classify({ code: 'ENOENT' })).to.not.exist;
+        expect(classify({ code: 'ER_DUP_ENTRY' })).to.not.exist;
+        expect(classify({ message: 'failure' })).to.not.exist;
+        expect(ae.errors.classify(undefined)).to.not.exist;
+      });
+    });
+
+    describe('with transaction middleware enabled', function() {
+      beforeEach(function(done) {
+        var setup = pspy();
+        ae.transaction(req, res, setup); // setup middleware
+        setup.wait.return().then(done, done);
+      });
+
+      it('rolls back & responds with json', function(done) {
+        ae.errors()(unique, req, res, next);
+        res._end.wait.then(function() {
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+          expect(res._writeHead).to.have.been.calledWithExactly(409,
+            { 'Content-Type': 'application/json' });
+          expect(body()).to.eql({
+            error: {
+              type: 'unique',
+              message: 'Unique constraint violated',
+              constraint: 'users_email_key',
+              table: 'users',
+              column: 'email',
+            },
+          });
+          expect(next).to.not.have.been.called;
+        })
+        .then(done, done);
+      });
+
+      it('passes other errors on', function(done) {
+        var error = new Error('expected');
+        ae.errors()(error, req, res, next);
+        next.wait.then(function() {
+          expect(next).to.have.been.calledWithExactly(error);
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+          expect(res._end).to.not.have.been.called;
+        })
+        .then(done, done);
+      });
+    });
+
+    it('responds without a transaction', function(done) {
+      ae.errors()(unique, req, res, next);
+      res._end.wait.then(function() {
+        expect(adapter.executed).to.eql([]);
+        expect(res._writeHead).to.have.been.calledWith(409);
+      })
+      .then(done, done);
+    });
+
+    it('passes classified errors on once the response has started', function(done) {
+      res.headersSent = true;
+      ae.errors()(unique, req, res, next);
+      next.wait.then(function() {
+        var error = next.getCall(0).args[0];
+        expect(error.type).to.eql('unique');
+        expect(error.cause).to.equal(unique);
+        expect(res._writeHead).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('accepts overrides for types', function(done) {
+      ae.errors({ map: { unique: 422 } })(unique, req, res, next);
+      res._end.wait.then(function() {
+        expect(res._writeHead).to.have.been.calledWith(422);
+        expect(body().error.message).to.eql('Unique constraint violated');
+      })
+      .then(done, done);
+    });
+
+    it('accepts overrides for constraints', function(done) {
+      ae.errors({
+        map: {
+          unique: 500,
+          'users_email_key': { status: 422, message: 'Email is taken' },
+        },
+      })(unique, req, res, next);
+      res._end.wait.then(function() {
+        expect(res._writeHead).to.have.been.calledWith(422);
+        expect(body().error.message).to.eql('Email is taken');
+      })
+      .then(done, done);
+    });
+
+    it('accepts overrides as functions', function(done) {
+      var override = sinon.spy(function(error) {
+        return error.column === 'email' ? 400 : undefined;
+      });
+      ae.errors({ map: { unique: override } })(unique, req, res, next);
+      res._end.wait.then(function() {
+        expect(override).to.have.been.calledWithExactly(
+          sinon.match({ type: 'unique' }), req);
+        expect(res._writeHead).to.have.been.calledWith(400);
+      })
+      .then(done, done);
+    });
+
+    it('uses defaults when overrides give nothing', function(done) {
+      ae.errors({ map: { unique: _.noop } })(unique, req, res, next);
+      res._end.wait.then(function() {
+        expect(res._writeHead).to.have.been.calledWith(409);
+      })
+      .then(done, done);
+    });
+
+    it('passes errors on when overridden with false', function(done) {
+      ae.errors({ map: { unique: false } })(unique, req, res, next);
+      next.wait.then(function() {
+        expect(next).to.have.been.calledWithExactly(unique);
+        expect(res._end).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('calls next when the response fails', function(done) {
+      var error = new Error('write failure');
+      res.writeHead = function() { throw error; };
+      ae.errors()(unique, req, res, next);
+      next.wait.then(function() {
+        expect(next).to.have.been.calledWithExactly(error);
+      })
+      .then(done, done);
+    });
+  });
+
+  var articleRoute = function(req, res, query, Article) {
+    query.select('comments').then(function() {
+      return Article.objects.fetch();
+    })
+    .then(function() {
+      res.end();
+    });
+  };
+
+  var articleErrorRoute = function(err, req, res, next, query, Article) {
+    Article; // use all params (jshint)
+    res.end();
+  };
+
+  describe('wrapped route', function() {
+
+    it('recognizes a next parameter', function() {
+      var route = ae.route(function(req, res, next) { next(); });
+      expect(route.length).to.eql(3);
+    });
+
+    it('recognizes an error parameter', function() {
+      var route = ae.route(function(err, req, res, next) {
+        /* jshint unused: false */
+      });
+      expect(route.length).to.eql(4);
+    });
+
+    it('recognizes an error parameter with function body', function() {
+      var route = ae.route(function(err, req, res, next) { next(); });
+      expect(route.length).to.eql(4);
+    });
+
+    it('accepts unknown parameter configurations as standard express params', function() {
+      var route = ae.route(function(err, req, res, next, bad) {
+        /* jshint unused: false */
+      });
+      expect(route.length).to.eql(3);
+    });
+
+    it('throws for unkown params following azul params', function() {
+      expect(function() {
+        ae.route(function(err, req, res, query, Item, bad) {
+          /* jshint unused: false */
+        });
+      }).to.throw(/unexpected arguments:.*query, item, bad/i);
+    });
+
+    it('throws when function cannot be parsed', function() {
+      var route = _.extend(function() {}, {
+        toString: function() { return 'unstringable'; },
+      });
+      expect(function() {
+        ae.route(route);
+      }).to.throw(/cannot create route.*function.*unstringable/i);
+    });
+
+    it('throws for native functions', function() {
+      expect(function() {
+        ae.route(Math.max);
+      }).to.throw(/cannot create route.*native code/i);
+    });
+
+    it('throws for bound functions', function() {
+      var controller = {
+        show: function(req, res, query) { res.end(query); },
+      };
+      expect(function() {
+        ae.route(controller.show.bind(controller));
+      }).to.throw(/cannot create route.*native code/i);
+    });
+
+
+    describe('with modern function syntax', function() {
+      var requestQuery = {}; // placeholder for the query of the request
+
+      var expectParams = function(source, expected) {
+        var spy = sinon.spy();
+        var route = ae.route(fake(source, spy));
+        return route(req, res, next).then(function() {
+          expect(spy.getCall(0).args).to.eql(expected.map(function(arg) {
+            return arg === requestQuery ? req.azul.query : arg;
+          }));
+        });
+      };
+
+      it('parses arrow functions', function(done) {
+        expectParams('(req, res, next, query) => {}', [req, res, next, requestQuery])
+        .then(done, done);
+      });
+
+      it('parses arrow functions with a single param', function(done) {
+        expectParams('req => req.url', [req]).then(done, done);
+      });
+
+      it('parses async arrow functions', function(done) {
+        expectParams('async (req, res, query) => {}', [req, res, requestQuery])
+        .then(done, done);
+      });
+
+      it('parses async arrow functions with a single param', function(done) {
+        expectParams('async req => req.url', [req]).then(done, done);
+      });
+
+      it('parses async functions', function(done) {
+        expectParams('async function named(req, res, query) {}',
+          [req, res, requestQuery])
+        .then(done, done);
+      });
+
+      it('parses generator functions', function(done) {
+        expectParams('function* (req, res, query) {}', [req, res, requestQuery])
+        .then(done, done);
+      });
+
+      it('parses concise methods', function(done) {
+        expectParams('handle(req, res, query) { return 1; }',
+          [req, res, requestQuery])
+        .then(done, done);
+      });
+
+      it('parses async & generator concise methods', function(done) {
+        expectParams('async *handle(req, res, query) {}', [req, res, requestQuery])
+        .then(done, done);
+      });
+
+      it('ignores comments, defaults & rest params', function(done) {
+        expectParams('function(req /* , err */, res = f(1, ")\\")"), // x\n' +
+          '...query) {}', [req, res, requestQuery])
+        .then(done, done);
+      });
+
+      it('treats destructured params as express params', function(done) {
+        expectParams('({ body }, res, query) => {}', [req, res, requestQuery])
+        .then(done, done);
+      });
+
+      it('throws for functions without parameter lists', function() {
+        expect(function() {
+          ae.route(fake('class { }'));
+        }).to.throw(/cannot create route.*class/i);
+      });
+
+      it('throws for unrecognized syntax before parameter lists', function() {
+        expect(function() {
+          ae.route(fake('x + y(req, res)'));
+        }).to.throw(/cannot create route/i);
+      });
+
+      var asyncRoute = compile('async function(req, res, next, query) {' +
+        '  await query.select(\'articles\');' +
+        '  if (req.fail) { throw new Error(\'Expected\'); }' +
+        '  res.end();' +
+        '}');
+
+      (asyncRoute ? it : it.skip)('commits after async functions', function(done) {
+        var route = ae.route(asyncRoute, { transaction: true });
+        route(req, res, next).then(function() {
+          return res._end.wait;
+        })
+        .then(function() {
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SELECT * FROM "articles"',
+            'COMMIT',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      (asyncRoute ? it : it.skip)('rolls back when async functions throw', function(done) {
+        var route = ae.route(asyncRoute, { transaction: true });
+        req.fail = true;
+        route(req, res, next).then(function() {
+          expect(next.getCall(0).args[0]).to.match(/expected/i);
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SELECT * FROM "articles"',
+            'ROLLBACK',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      var generatorRoute = compile('function*(req, res, next, query) {' +
+        '  yield query.select(\'articles\');' +
+        '  if (req.fail) { throw new Error(\'Expected\'); }' +
+        '  res.end();' +
+        '}');
+
+      (generatorRoute ? it : it.skip)('runs generators as coroutines', function(done) {
+        var route = ae.route(generatorRoute, { transaction: true });
+        route(req, res, next).then(function() {
+          return res._end.wait;
+        })
+        .then(function() {
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SELECT * FROM "articles"',
+            'COMMIT',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      (generatorRoute ? it : it.skip)('rolls back when generators throw', function(done) {
+        var route = ae.route(generatorRoute, { transaction: true });
+        req.fail = true;
+        route(req, res, next).then(function() {
+          expect(next.getCall(0).args[0]).to.match(/expected/i);
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SELECT * FROM "articles"',
+            'ROLLBACK',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      (generatorRoute ? it : it.skip)('does not run wrapped generators as coroutines', function(done) {
+        var wrapper = sinon.spy(function() { return 'result'; });
+        var route = ae.route(generatorRoute, { wrap: _.constant(wrapper) });
+        route(req, res, next).then(function(result) {
+          expect(result).to.eql('result');
+          expect(wrapper).to.have.been.calledWithExactly(req, res, next, req.azul.query);
+        })
+        .then(done, done);
+      });
+    });
+
+    describe('with declared params', function() {
+      var declaredRoute = function(a, b, c, d) {
+        d.objects.fetch().then(function() { b.end(); });
+      };
+
+      it('accepts declarations before the function', function(done) {
+        var spy = sinon.spy(declaredRoute);
+        var route = ae.route(['req', 'res', 'query', 'Article'], spy);
+
+        expect(route.length).to.eql(3);
+        route(req, res, next).then(function() {
+          expect(spy).to.have.been.calledWithExactly(req, res, req.azul.query,
+            bound('article'));
+          return res._end.wait;
+        })
+        .then(function() {
+          expect(adapter.executed).to.eql(['SELECT * FROM "articles"']);
+        })
+        .then(done, done);
+      });
+
+      it('accepts declarations before the function with options', function(done) {
+        var spy = sinon.spy(declaredRoute);
+        var route = ae.route(['req', 'res', 'query', 'Article'], spy,
+          { transaction: true });
+
+        route(req, res, next).then(function() {
+          return res._end.wait;
+        })
+        .then(function() {
+          expect(spy.getCall(0).args[3].query).to.equal(req.azul.query);
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SELECT * FROM "articles"',
+            'COMMIT',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('accepts declarations on the function', function(done) {
+        var spy = sinon.spy(declaredRoute);
+        spy.$inject = ['req', 'res', 'query', 'Article'];
+        var route = ae.route(spy);
+
+        route(req, res, next).then(function() {
+          expect(spy).to.have.been.calledWithExactly(req, res, req.azul.query,
+            bound('article'));
+        })
+        .then(done, done);
+      });
+
+      it('accepts declarations for error routes', function() {
+        var fn = function() {};
+        fn.$inject = ['err', 'req', 'res', 'next', 'Article'];
+        expect(ae.route(fn).length).to.eql(4);
+      });
+
+      it('accepts injection option', function(done) {
+        var spy = sinon.spy(function() {});
+        var route = ae.route({ inject: ['Article', 'query'] }, spy);
+
+        expect(route.length).to.eql(3);
+        route(req, res, next).then(function() {
+          var args = spy.getCall(0).args;
+          expect(args.length).to.eql(5);
+          expect(args.slice(0, 2)).to.eql([req, res]);
+          expect(args[3]).to.satisfy(isBound('article'));
+          expect(args[4]).to.equal(req.azul.query);
+        })
+        .then(done, done);
+      });
+
+      it('accepts injection option after the function', function(done) {
+        var spy = sinon.spy(function() {});
+        var route = ae.route(spy, { inject: ['article'] });
+
+        route(req, res, next).then(function() {
+          expect(spy.getCall(0).args[3]).to.satisfy(isBound('article'));
+        })
+        .then(done, done);
+      });
+
+      it('maps parameter names to models', function(done) {
+        var spy = sinon.spy(function() {});
+        var route = ae.route(['req', 'res', { articleModel: 'Article' },
+          { db: 'query' }], spy, { transaction: true });
+
+        route(req, res, next).then(function() {
+          var args = spy.getCall(0).args;
+          expect(args[2].query).to.equal(req.azul.query);
+          expect(args[3]).to.equal(req.azul.query);
+        })
+        .then(done, done);
+      });
+
+      it('throws for unknown params following declared azul params', function() {
+        expect(function() {
+          ae.route(['req', { item: 'Item' }, 'bad'], function() {});
+        }).to.throw(/unexpected arguments: req, item, bad/i);
+      });
+
+      it('does not parse the function', function() {
+        var fn = _.extend(function() {}, {
+          toString: function() { return 'unstringable'; },
+          $inject: ['req', 'res'],
+        });
+        expect(ae.route(fn).length).to.eql(3);
+      });
+    });
+
+    describe('with azul params', function() {
+      beforeEach(function() {
+        this.route = ae.route(function(req, res, next, query, Article) {
+          /* jshint unused: false */
+        });
+      });
+
+      it('generates a standard express route', function() {
+        expect(this.route.length).to.eql(3);
+      });
+    });
+
+    it('allows execution of sql', function(done) {
+      var spy = pspy(articleRoute);
+      var route = ae.route(spy);
+
+      route(req, res, next).then(function() {
+        var query = spy.getCall(0).args.slice(-2)[0];
+        var Article = spy.getCall(0).args.slice(-2)[1];
+        expect(query).to.equal(req.azul.query);
+        expect(Article.query).to.equal(req.azul.query);
+        expect(Article).to.satisfy(isBound('article'));
+        expect(adapter.executed).to.eql([]);
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql([
+          'SELECT * FROM "comments"',
+          'SELECT * FROM "articles"',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('accepts promises as a return values', function(done) {
+      var promise = Promise.delay(5);
+      var route = ae.route(function() { return promise; });
+
+      route(req, res, next)
+      .then(function() {
+        expect(promise.isResolved()).to.eql(true);
+        expect(next).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('allows wrapping', function(done) {
+      var wrapper;
+      var wrap = sinon.spy(function(fn) {
+        wrapper = sinon.spy(function() {
+          return fn.apply(this, arguments);
+        });
+        return wrapper;
+      });
+
+      var emptyRoute = pspy(articleRoute);
+      var route = ae.route(emptyRoute, { wrap: wrap });
+
+      route(req, res, next)
+      .then(function() {
+        expect(emptyRoute).to.have.been.calledOnce;
+        expect(emptyRoute).to.have.been.calledWithExactly(req, res, req.azul.query, bound('article'));
+        expect(wrapper).to.have.been.calledOnce;
+        expect(wrapper).to.have.been.calledWithExactly(req, res, req.azul.query, bound('article'));
+        expect(wrap).to.have.been.calledOnce;
+        expect(wrap).to.have.been.calledWithExactly(emptyRoute);
+      })
+      .then(done, done);
+    });
+
+    it('can call next', function(done) {
+      var route = ae.route(function(req, res, next, query) {
+        query; // use all params (jshint)
+        next();
+      });
+
+      route(req, res, next).then(function() {
+        return next.wait;
+      })
+      .then(function() {
+        expect(next).to.have.been.calledOnce;
+        expect(next).to.have.been.calledWithExactly();
+      })
+      .then(done, done);
+    });
+
+    describe('with transaction middleware enabled', function() {
+      beforeEach(function(done) {
+        var setup = pspy();
+        ae.transaction(req, res, setup); // setup middleware
+        setup.wait.return().then(done, done);
+      });
+
+      it('executes sql in transaction', function(done) {
+        var spy = pspy(articleRoute);
+        var route = ae.route(spy);
+
+        route(req, res, next).then(function() {
+          var query = spy.getCall(0).args.slice(-2)[0];
+          var Article = spy.getCall(0).args.slice(-2)[1];
+          expect(query).to.eql(req.azul.query);
+          expect(query.transaction()).to.eql(req.azul.transaction);
+          expect(Article.query).to.eql(req.azul.query);
+          expect(adapter.executed).to.eql(['BEGIN']);
+          return res._end.wait;
+        })
+        .then(function() {
+          expect(adapter.clients.length).to.eql(1);
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SELECT * FROM "comments"',
+            'SELECT * FROM "articles"',
+            'COMMIT'
+          ]);
+        })
+        .then(done, done);
+      });
+    });
+
+
+    describe('with savepoint', function() {
+      var setup;
+
+      beforeEach(function(done) {
+        setup = pspy();
+        ae.transaction(req, res, setup); // setup middleware
+        setup.wait.return().then(done, done);
+      });
+
+      it('runs the route within a savepoint', function(done) {
+        var savepoints;
+        var route = ae.route(function(req, res, next, query) {
+          savepoints = res.azul.savepoints.slice();
+          return query.select('articles');
+        }, { savepoint: true });
+
+        route(req, res, next).then(function() {
+          expect(savepoints).to.eql(['AZUL_EXPRESS_1']);
+          expect(res.azul.savepoints).to.eql([]);
+          expect(adapter.clients.length).to.eql(1);
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SAVEPOINT AZUL_EXPRESS_1',
+            'SELECT * FROM "articles"',
+            'RELEASE SAVEPOINT AZUL_EXPRESS_1',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('releases the savepoint when next is called', function(done) {
+        var route = ae.route(function(req, res, next) {
+          next();
+        }, { savepoint: true });
+
+        route(req, res, next).then(function() {
+          return next.wait;
+        })
+        .then(function() {
+          expect(next).to.have.been.calledWithExactly();
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SAVEPOINT AZUL_EXPRESS_1',
+            'RELEASE SAVEPOINT AZUL_EXPRESS_1',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('rolls back only to the savepoint on error', function(done) {
+        var error = new Error('Expected');
+        var route = ae.route(function(req, res, next) {
+          next(error);
+        }, { savepoint: true });
+
+        route(req, res, next).then(function() {
+          return next.wait;
+        })
+        .then(function() {
+          expect(next).to.have.been.calledWithExactly(error);
+          res.end();
+          return res._end.wait;
+        })
+        .then(function() {
+          expect(adapter.clients.length).to.eql(1);
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SAVEPOINT AZUL_EXPRESS_1',
+            'ROLLBACK TO SAVEPOINT AZUL_EXPRESS_1',
+            'RELEASE SAVEPOINT AZUL_EXPRESS_1',
+            'COMMIT',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('rolls back only to the savepoint when promise is rejected', function(done) {
+        var error = new Error('Expected');
+        var route = ae.route(function() {
+          return Promise.reject(error);
+        }, { savepoint: true });
+
+        route(req, res, next).then(function() {
+          expect(next).to.have.been.calledWithExactly(error);
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SAVEPOINT AZUL_EXPRESS_1',
+            'ROLLBACK TO SAVEPOINT AZUL_EXPRESS_1',
+            'RELEASE SAVEPOINT AZUL_EXPRESS_1',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('uses the savepoint for manual rollback', function(done) {
+        var route = ae.route(function(req, res) {
+          return res.azul.rollback().then(function() {
+            expect(res.azul.savepoints).to.eql([]);
+          });
+        }, { savepoint: true });
+
+        route(req, res, next).then(function() {
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SAVEPOINT AZUL_EXPRESS_1',
+            'ROLLBACK TO SAVEPOINT AZUL_EXPRESS_1',
+            'RELEASE SAVEPOINT AZUL_EXPRESS_1',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('uses the innermost savepoint for manual commit', function(done) {
+        var route = ae.route(function(req, res) {
+          return res.azul.savepoint().then(function(name) {
+            expect(name).to.eql('AZUL_EXPRESS_2');
+            expect(res.azul.savepoints).to.eql(['AZUL_EXPRESS_1', 'AZUL_EXPRESS_2']);
+            return res.azul.commit();
+          })
+          .then(function() {
+            expect(res.azul.savepoints).to.eql(['AZUL_EXPRESS_1']);
+          });
+        }, { savepoint: true });
+
+        route(req, res, next).then(function() {
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SAVEPOINT AZUL_EXPRESS_1',
+            'SAVEPOINT AZUL_EXPRESS_2',
+            'RELEASE SAVEPOINT AZUL_EXPRESS_2',
+            'RELEASE SAVEPOINT AZUL_EXPRESS_1',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('commits the transaction on `end`', function(done) {
+        var route = ae.route(function(req, res) {
+          res.end();
+        }, { savepoint: true });
+
+        route(req, res, next).then(function() {
+          return res._end.wait;
+        })
+        .then(function() {
+          expect(res.azul.savepoints).to.eql([]);
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'SAVEPOINT AZUL_EXPRESS_1',
+            'COMMIT',
+          ]);
+        })
+        .then(done, done);
+      });
+
+      it('calls next with error when savepoint fails', function(done) {
+        adapter.fail('SAVEPOINT');
+        var called = false;
+        var route = ae.route(function() { called = true; }, { savepoint: true });
+
+        route(req, res, next).then(function() {
+          return next.wait;
+        })
+        .then(function() {
+          expect(called).to.be.false;
+          expect(next).to.have.been.calledOnce;
+          expect(next.getCall(0).args[0]).to.match(/intentional failure for savepoint/i);
+          expect(res.azul.savepoints).to.eql([]);
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        })
+        .then(done, done);
+      });
+
+      it('calls middleware next with error when release fails', function(done) {
+        adapter.fail('RELEASE');
+        var route = ae.route(function() {
+          return Promise.resolve();
+        }, { savepoint: true });
+
+        route(req, res, next).then(function() {
+          expect(setup).to.have.been.calledTwice;
+          expect(setup.getCall(1).args[0]).to.match(/intentional failure for release/i);
+        })
+        .then(done, done);
+      });
+    });
+
+    it('ignores savepoint when the route begins the transaction', function(done) {
+      var route = ae.route(function(req, res) {
+        res.end();
+      }, { transaction: true, savepoint: true });
+
+      route(req, res, next).then(function() {
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+      })
+      .then(done, done);
+    });
+
+  });
+
+  describe('wrapped route w/ transaction', function() {
+
+    it('allows execution of sql', function(done) {
+      var spy = pspy(articleRoute);
+      var route = ae.route(spy, { transaction: true });
+
+      route(req, res, next).then(function() {
+        var query = spy.getCall(0).args.slice(-2)[0];
+        var Article = spy.getCall(0).args.slice(-2)[1];
+        expect(query).to.eql(req.azul.query);
+        expect(query.transaction()).to.eql(req.azul.transaction);
+        expect(Article.query).to.eql(req.azul.query);
+        expect(adapter.executed).to.eql(['BEGIN']);
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SELECT * FROM "comments"',
+          'SELECT * FROM "articles"',
+          'COMMIT'
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('accepts isolation level & read only options', function(done) {
+      var route = ae.route(function(req, res, query) {
+        query; // use all params (jshint)
+        res.end();
+      }, { transaction: true, isolation: 'serializable', readOnly: true });
+
+      route(req, res, next).then(function() {
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SET TRANSACTION ISOLATION LEVEL SERIALIZABLE, READ ONLY',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('accepts a commit decision', function(done) {
+      var route = ae.route(function(req, res) {
+        res.statusCode = 404;
+        res.end();
+      }, { transaction: true, commitWhen: function() { return true; } });
+
+      route(req, res, next).then(function() {
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+      })
+      .then(done, done);
+    });
+
+    it('rolls back for error status by default', function(done) {
+      var route = ae.route(function(req, res) {
+        res.statusCode = 404;
+        res.end();
+      }, { transaction: true });
+
+      route(req, res, next).then(function() {
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('throws for unknown isolation levels', function() {
+      expect(function() {
+        ae.route(function(req, res) { /* jshint unused: false */ },
+          { transaction: true, isolation: 'snapshot' });
+      }).to.throw(/unknown isolation level: snapshot/i);
+    });
+
+    it('works for defining error middleware', function(done) {
+      var spy = pspy(articleErrorRoute);
+      var route = ae.route(spy, { transaction: true });
+
+      route(new Error('Error'), req, res, next).then(function() {
+        var query = spy.getCall(0).args.slice(-2)[0];
+        var Article = spy.getCall(0).args.slice(-2)[1];
+        expect(query).to.eql(req.azul.query);
+        expect(query.transaction()).to.eql(req.azul.transaction);
+        expect(Article.query).to.eql(req.azul.query);
+        expect(adapter.executed).to.eql(['BEGIN']);
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+      })
+      .then(done, done);
+    });
+
+    it('performs rollback if next is called with error', function(done) {
+      var error = new Error('Expected');
+      var route = ae.route(function(req, res, next, query) {
+        query; // use all params (jshint)
+        next(error);
+      }, { transaction: true });
+
+      route(req, res, next).then(function() {
+        expect(adapter.executed).to.eql(['BEGIN']);
+        return next.wait;
+      })
+      .then(function() {
+        expect(next).to.have.been.calledOnce;
+        expect(next).to.have.been.calledWithExactly(new Error('Expected'));
+        expect(next.getCall(0).args[0]).to.equal(error);
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('performs rollback if returned promise is rejected', function(done) {
+      var error = new Error('Expected');
+      var route = ae.route(function(req, res, next, query) {
+        query; // use all params (jshint)
+        return Promise.reject(error);
+      }, { transaction: true });
+
+      route(req, res, next).then(function() {
+        return next.wait;
+      })
+      .then(function() {
+        expect(next).to.have.been.calledOnce;
+        expect(next).to.have.been.calledWithExactly(new Error('Expected'));
+        expect(next.getCall(0).args[0]).to.equal(error);
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('performs only one rollback if rolled back manually & through error', function(done) {
+      var route = ae.route(function(req, res, next, query) {
+        query; // use all params (jshint)
+        res.azul.rollback();
+        next(new Error('Expected'));
+      }, { transaction: true });
+
+      route(req, res, next).then(function() {
+        return next.wait;
+      })
+      .then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('passes on calls to next without arguments', function(done) {
+      var route = ae.route(function(req, res, next, query) {
+        query; // use all params (jshint)
+        next();
+      }, { transaction: true });
+
+      route(req, res, next).then(function() {
+        expect(adapter.executed).to.eql(['BEGIN']);
+        return next.wait;
+      })
+      .then(function() {
+        expect(next).to.have.been.calledOnce;
+        expect(next).to.have.been.calledWithExactly();
+        expect(adapter.clients.length).to.eql(1);
+        // commit would occur on write from future middleware
+        expect(adapter.executed).to.eql(['BEGIN']);
+      })
+      .then(done, done);
+    });
+
+    it('passes on calls to next with non-error', function(done) {
+      var route = ae.route(function(req, res, next, query) {
+        query; // use all params (jshint)
+        next('value');
+      }, { transaction: true });
+
+      route(req, res, next).then(function() {
+        return next.wait;
+      })
+      .then(function() {
+        expect(next).to.have.been.calledOnce;
+        expect(next).to.have.been.calledWithExactly('value');
+        expect(adapter.clients.length).to.eql(1);
+        // commit would occur on write from future middleware
+        expect(adapter.executed).to.eql(['BEGIN']);
+      })
+      .then(done, done);
+    });
+
+    describe('when begin transaction fails', function() {
+      beforeEach(function() {
+        adapter.fail('BEGIN');
+      });
+
+      it('calls next with error', function(done) {
+        var route = ae.route(function(req, res, query, Article) {
+          /* jshint unused: false */
+        }, { transaction: true });
+
+        route(req, res, next).then(function() {
+          return next.wait;
+        })
+        .then(function() {
+          expect(next).to.have.been.calledOnce;
+          expect(next.getCall(0).args[0]).to.match(/intentional failure for begin/i);
+          expect(adapter.clients.length).to.eql(0);
+          expect(adapter.executed).to.eql([]);
+        })
+        .then(done, done);
+      });
+    });
+
+    describe('when commit transaction fails', function() {
+      beforeEach(function() {
+        adapter.fail('COMMIT');
+      });
+
+      it('calls next with error', function(done) {
+        var route = ae.route(function(req, res, query, Article) {
+          Article; // use all params (jshint)
+          res.end();
+        }, { transaction: true });
+
+        route(req, res, next).then(function() {
+          return res.azul.commit();
+        })
+        .then(function() {
+          return next.wait;
+        })
+        .then(function() {
+          expect(next).to.have.been.calledOnce;
+          expect(next.getCall(0).args[0]).to.match(/intentional failure for commit/i);
+          expect(adapter.clients.length).to.eql(1);
+          expect(adapter.executed).to.eql(['BEGIN']);
+        })
+        .then(done, done);
+      });
+
+    });
+
+    describe('when rollback transaction fails', function() {
+      beforeEach(function() {
+        adapter.fail('ROLLBACK');
+      });
+
+      it('calls next with error', function(done) {
+        var route = ae.route(function(req, res, query, Article) {
+          Article; // use all params (jshint)
+          res.azul.rollback();
+        }, { transaction: true });
+
+        route(req, res, next).then(function() {
+          return res.azul.rollback();
+        })
+        .then(function() {
+          return next.wait;
+        })
+        .then(function() {
+          expect(next).to.have.been.calledOnce;
+          expect(next.getCall(0).args[0]).to.match(/intentional failure for rollback/i);
+          expect(adapter.clients.length).to.eql(1);
+          expect(adapter.executed).to.eql(['BEGIN']);
+        })
+        .then(done, done);
+      });
+
+    });
+
+    describe('with retry', function() {
+      var serializationError = function() {
+        return _.extend(new Error('could not serialize access'), {
+          code: '40001',
+        });
+      };
+
+      it('runs the route again in a new transaction', function(done) {
+        var calls = 0;
+        var spy = pspy(function(req, res, next, query, Article) {
+          /* jshint unused: false */
+          if (++calls === 1) { return Promise.reject(serializationError()); }
+          res.end();
+        });
+        var route = ae.route(spy, { transaction: true, retry: true });
+
+        route(req, res, next).then(function() {
+          return res._end.wait;
+        })
+        .then(function() {
+          var first = spy.getCall(0).args;
+          var second = spy.getCall(1).args;
+          expect(spy).to.have.been.calledTwice;
+          expect(first[3]).to.not.equal(second[3]);
+          expect(second[3]).to.equal(req.azul.query);
+          expect(second[4].query).to.equal(req.azul.query);
+          expect(first[4].query).to.not.equal(req.azul.query);
+          expect(next).to.not.have.been.called;
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK', 'BEGIN', 'COMMIT']);
+        })
+        .then(done, done);
+      });
+
+      it('retries when next is called with a retryable error', function(done) {
+        var calls = 0;
+        var spy = pspy(function(req, res, next) {
+          if (++calls === 1) { return next(serializationError()); }
+          res.end();
+        });
+        var route = ae.route(spy, { transaction: true, retry: true });
+
+        route(req, res, next);
+        res._end.wait.then(function() {
+          expect(spy).to.have.been.calledTwice;
+          expect(next).to.not.have.been.called;
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK', 'BEGIN', 'COMMIT']);
+        })
+        .then(done, done);
+      });
+
+      it('stops after the maximum number of attempts', function(done) {
+        adapter.fail('SELECT', { code: '40001' });
+        var spy = pspy(function(req, res, query) {
+          return query.select('articles');
+        });
+        var route = ae.route(spy, {
+          transaction: true, retry: { attempts: 2 },
+        });
+
+        route(req, res, next).then(function() {
+          return next.wait;
+        })
+        .then(function() {
+          expect(spy).to.have.been.calledTwice;
+          expect(next).to.have.been.calledOnce;
+          expect(next.getCall(0).args[0].code).to.eql('40001');
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK', 'BEGIN', 'ROLLBACK']);
+        })
+        .then(done, done);
+      });
+
+      it('times out attempts after the first', function(done) {
+        var calls = 0;
+        var route = ae.route(function() {
+          if (++calls === 1) { return Promise.reject(serializationError()); }
+          return new Promise(function() {}); // never completes
+        }, { transaction: true, retry: { attempts: 2 }, timeout: 50 });
+
+        route(req, res, next);
+        res._end.wait.then(function() {
+          expect(calls).to.eql(2);
+          expect(res.statusCode).to.eql(503);
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK', 'BEGIN', 'ROLLBACK']);
+        })
+        .then(done, done);
+      });
+
+      it('delays attempts by the backoff', function(done) {
+        var error = serializationError();
+        var backoff = sinon.spy(function() { return 1; });
+        var route = ae.route(function() {
+          return Promise.reject(error);
+        }, { transaction: true, retry: { attempts: 3, backoff: backoff } });
+
+        route(req, res, next).then(function() {
+          return next.wait;
+        })
+        .then(function() {
+          expect(backoff).to.have.been.calledTwice;
+          expect(backoff).to.have.been.calledWithExactly(2, error);
+          expect(backoff).to.have.been.calledWithExactly(3, error);
+        })
+        .then(done, done);
+      });
+
+      it('doubles numeric backoff for each attempt', function(done) {
+        var delay = sinon.spy(Promise, 'delay');
+        var route = ae.route(function() {
+          return Promise.reject(serializationError());
+        }, { transaction: true, retry: { attempts: 4, backoff: 2 } });
+
+        route(req, res, next).then(function() {
+          return next.wait;
+        })
+        .finally(function() { delay.restore(); })
+        .then(function() {
+          expect(_.map(delay.args, 0)).to.include.members([2, 4, 8]);
+        })
+        .then(done, done);
+      });
+
+      it('does not retry other errors', function(done) {
+        var error = new Error('Expected');
+        var spy = pspy(function() { return Promise.reject(error); });
+        var route = ae.route(spy, { transaction: true, retry: true });
+
+        route(req, res, next).then(function() {
+          return next.wait;
+        })
+        .then(function() {
+          expect(spy).to.have.been.calledOnce;
+          expect(next).to.have.been.calledWithExactly(error);
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        })
+        .then(done, done);
+      });
+
+      it('does not retry without the option', function(done) {
+        var spy = pspy(function() {
+          return Promise.reject(serializationError());
+        });
+        var route = ae.route(spy, { transaction: true });
+
+        route(req, res, next).then(function() {
+          return next.wait;
+        })
+        .then(function() {
+          expect(spy).to.have.been.calledOnce;
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        })
+        .then(done, done);
+      });
+
+      it('retries when the commit fails with a retryable error', function(done) {
+        adapter.fail('COMMIT', { code: '40001' });
+        var spy = pspy(function(req, res) {
+          res.write('held back');
+          res.end();
+        });
+        var route = ae.route(spy, {
+          transaction: true, retry: { attempts: 3 },
+        });
+
+        route(req, res, next).then(function() {
+          return next.wait;
+        })
+        .then(function() {
+          expect(spy).to.have.been.calledThrice;
+          expect(next).to.have.been.calledOnce;
+          expect(next.getCall(0).args[0].code).to.eql('40001');
+          expect(res._write).to.not.have.been.called;
+          expect(res._end).to.not.have.been.called;
+          expect(adapter.executed).to.eql(['BEGIN', 'BEGIN', 'BEGIN']);
+        })
+        .then(done, done);
+      });
+
+      it('does not retry once the response has been written', function(done) {
+        var spy = pspy(function(req, res) {
+          res.writeHead(200);
+          return Promise.reject(serializationError());
+        });
+        var route = ae.route(spy, { transaction: true, retry: true });
+
+        route(req, res, next).then(function() {
+          return next.wait;
+        })
+        .then(function() {
+          expect(spy).to.have.been.calledOnce;
+          expect(next).to.have.been.calledOnce;
+          expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        })
+        .then(done, done);
+      });
+
+      it('does not retry within transaction middleware', function(done) {
+        var spy = pspy(function() {
+          return Promise.reject(serializationError());
+        });
+        var route = ae.route(spy, { transaction: true, retry: true });
+        var setup = pspy();
+
+        ae.transaction(req, res, setup);
+        setup.wait.then(function() {
+          return route(req, res, next);
+        })
+        .then(function() {
+          return next.wait;
+        })
+        .then(function() {
+          expect(spy).to.have.been.calledOnce;
+          expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        })
+        .then(done, done);
+      });
+    });
+
+    it('works with relationships', function(done) {
+      db.model('article').reopen({
+        author: db.belongsTo(),
+        comments: db.hasMany(),
+      });
+      db.model('author', { articles: db.hasMany(), });
+      db.model('comment', { article: db.belongsTo() });
+      adapter.respond(/select \* from "authors"/i, [{ id: 5 }]);
+      adapter.respond(/select \* from "articles"/i,
+        [{ id: 1, 'author_id': 5 }]);
+
+      var route = ae.route(function(req, res, query, Article) {
+        Article.objects.find(1).tap(function(article) {
+          return article.fetchAuthor();
+        })
+        .tap(function(article) {
+          return article.commentObjects.fetch();
+        })
+        .then(function() {
+          res.end();
+        })
+        .catch(done);
+      }, { transaction: true });
+
+      route(req, res, next).then(function() {
+        expect(adapter.executed).to.eql(['BEGIN']);
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          ['SELECT * FROM "articles" WHERE "id" = ? LIMIT 1', [1]],
+          ['SELECT * FROM "authors" WHERE "id" = ? LIMIT 1', [5]],
+          ['SELECT * FROM "comments" WHERE "article_id" = ?', [1]],
+          'COMMIT'
+        ]);
+      })
+      .then(done, done);
+    });
+
+  });
+
+  describe('model binding', function() {
+    var capture;
+
+    beforeEach(function() {
+      db.model('article').reopen({ author: db.belongsTo() });
+      db.model('author', { articles: db.hasMany() });
+      capture = ae.route(function(req, res, Article, Author) {
+        res.end([Article, Author]);
+      });
+    });
+
+    var bindModels = function() {
+      var response = { end: pspy() };
+      capture({}, response, next);
+      return response.end.wait.then(function() {
+        return response.end.getCall(0).args[0];
+      });
+    };
+
+    it('shares the shape of bound classes between requests', function(done) {
+      Promise.all([bindModels(), bindModels()]).spread(function(first, second) {
+        expect(first[0]).to.not.equal(second[0]);
+        expect(first[0].query).to.not.equal(second[0].query);
+        expect(first[0].__super__).to.equal(second[0].__super__);
+        expect(first[0].__super__.__super__).to.equal(db.model('article'));
+      })
+      .then(done, done);
+    });
+
+    it('binds relations to the request', function(done) {
+      bindModels().spread(function(Article, Author) {
+        var relation = Article.__class__.prototype.authorRelation;
+        expect(relation._modelClass).to.equal(Article);
+        expect(relation._relatedModel).to.equal(Author);
+        expect(Article.__class__.prototype.authorRelation).to.equal(relation);
+      })
+      .then(done, done);
+    });
+
+    it('leaves relations of shapes unbound', function(done) {
+      bindModels().spread(function(Article) {
+        var shape = Article.__super__;
+        expect(shape.__class__.prototype.authorRelation).to.equal(
+          db.model('article').__class__.prototype.authorRelation);
+      })
+      .then(done, done);
+    });
+
+    it('binds models for middleware', function(done) {
+      adapter.respond(/insert/i, [{ id: 1 }]);
+      db.model('article', { title: db.attr() });
+      ae.transaction(req, res, next);
+      next.wait.then(function() {
+        var Article = req.azul.model('Article');
+        expect(Article).to.satisfy(isBound('article'));
+        expect(req.azul.model('article')).to.equal(Article);
+        return Article.create({ title: 'Middleware' }).save();
+      })
+      .then(function() {
+        capture(req, res, next);
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(res._end.getCall(0).args[0][0]).to.equal(req.azul.model('Article'));
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          ['INSERT INTO "articles" ("author_id", "title") VALUES (?, ?) ' +
+            'RETURNING "id"', [undefined, 'Middleware']],
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('provides lazy access to models', function(done) {
+      ae.transaction(req, res, next);
+      next.wait.then(function() {
+        var models = req.azul.models;
+        expect(models.Article).to.satisfy(isBound('article'));
+        expect(models.Article).to.equal(req.azul.model('Article'));
+        expect(models.Author).to.equal(req.azul.model('Author'));
+        expect(models.then).to.not.exist;
+        return Promise.resolve(models);
+      })
+      .then(function(models) {
+        expect(models).to.equal(req.azul.models);
+      })
+      .then(done, done);
+    });
+
+    describe('benchmark', function() {
+      this.timeout(30000);
+
+      // a chain of models where each belongs to the previous & has many of
+      // the next, so the number of relations grows with the number of models.
+      var schema = function(size) {
+        var database = azul.Database.create({ adapter: adapter });
+        _.times(size, function(i) {
+          var attrs = { title: database.attr() };
+          if (i > 0) { attrs.parent = database.belongsTo('model' + (i - 1)); }
+          if (i < size - 1) {
+            attrs.children = database.hasMany('model' + (i + 1), { inverse: 'parent' });
+          }
+          database.model('model' + i, attrs);
+        });
+        return database;
+      };
+
+      // average time in milliseconds to run a route that binds one model &
+      // uses one of its relations.
+      var measure = function(size) {
+        var instance = azulExpress(schema(size));
+        var route = instance.route(function(req, res, Model1) {
+          res.end(Model1.__class__.prototype.parentRelation);
+        });
+        var run = function() {
+          return route({}, { end: _.noop }, next);
+        };
+        var start;
+        return Promise.each(_.range(50), run) // warm up
+        .then(function() { start = process.hrtime(); })
+        .then(function() { return Promise.each(_.range(500), run); })
+        .then(function() {
+          var elapsed = process.hrtime(start);
+          return (elapsed[0] * 1e3 + elapsed[1] / 1e6) / 500;
+        });
+      };
+
+      it('stays flat as the schema grows', function(done) {
+        var small;
+        measure(5).then(function(result) {
+          small = result;
+          return measure(100);
+        })
+        .then(function(large) {
+          expect(large).to.be.below(small * 3);
+        })
+        .then(done, done);
+      });
+    });
+  });
+
+  describe('relation binding', function() {
+    var execute;
+
+    beforeEach(function() {
+      db.model('user', {
+        name: db.attr(),
+        manager: db.belongsTo('user', { inverse: 'reports' }),
+        reports: db.hasMany('user', { inverse: 'manager' }),
+        articles: db.hasMany({ inverse: 'author' }),
+        comments: db.hasMany({ through: 'articles' }),
+      });
+      db.model('article', {
+        title: db.attr(),
+        author: db.belongsTo('user'),
+        comments: db.hasMany(),
+        tags: db.hasMany({ through: 'article_tags' }),
+      });
+      db.model('comment', { body: db.attr(), article: db.belongsTo() });
+      db.model('tag', {
+        name: db.attr(),
+        articles: db.hasMany({ through: 'article_tags' }),
+      });
+      adapter.respond(/select.*from "articles"/i,
+        [{ id: 1, title: 'Title', 'author_id': 2 }]);
+      adapter.respond(/select.*from "users"/i,
+        [{ id: 2, name: 'Name', 'manager_id': 2 }]);
+      adapter.respond(/select.*from "tags"/i, [{ id: 4, name: 'Tag' }]);
+      adapter.respond(/select.*from "articles_tags"/i,
+        [{ id: 5, 'article_id': 1, 'tag_id': 4 }]);
+      adapter.respond(/insert/i, [{ id: 6 }]);
+      execute = sinon.spy(adapter, '_execute');
+    });
+
+    // run a route in a transaction & check that every statement used the
+    // client of the transaction.
+    var transactional = function(fn) {
+      var route = ae.route(fn, { transaction: true });
+      var request = {};
+      var end = pspy();
+      var failed = pspy();
+      execute.reset();
+      adapter.executed = [];
+      route(request, { end: end }, failed);
+      return Promise.race([
+        end.wait,
+        failed.wait.then(function() { throw failed.getCall(0).args[0]; }),
+      ])
+      .then(function() {
+        var clients = _.uniq(_.map(execute.args, 0));
+        expect(end).to.have.been.calledWithExactly('ok');
+        expect(clients.length).to.eql(1);
+        expect(adapter.executed[0]).to.eql('BEGIN');
+        expect(_.last(adapter.executed)).to.eql('COMMIT');
+        return _.pluck(request.azul.queries, 'sql');
+      });
+    };
+
+    it('uses the transaction for prefetching', function(done) {
+      transactional(function(req, res, Article, User) {
+        return Article.objects.with('author', 'comments').fetch()
+        .then(function(articles) {
+          expect(articles[0].author).to.be.an.instanceOf(User.__class__);
+          return User.objects.with('comments').fetch();
+        })
+        .then(function(users) {
+          expect(users[0].comments).to.eql([]);
+          res.end('ok');
+        });
+      })
+      .then(function(queries) { expect(queries.length).to.eql(6); })
+      .then(done, done);
+    });
+
+    it('uses the transaction for joins', function(done) {
+      transactional(function(req, res, Article) {
+        return Article.objects.join('tags').where({ 'tags.name': 'Tag' })
+        .fetch().then(function() { res.end('ok'); });
+      })
+      .then(function(queries) {
+        expect(queries[0]).to.match(/JOIN "articles_tags"/);
+      })
+      .then(done, done);
+    });
+
+    it('uses the transaction for self-joins', function(done) {
+      transactional(function(req, res, User) {
+        return User.objects.find(2).tap(function(user) {
+          return user.fetchManager();
+        })
+        .then(function(user) {
+          expect(user.manager).to.be.an.instanceOf(User.__class__);
+          return user.reportObjects.fetch();
+        })
+        .then(function() {
+          return User.objects.with('reports', 'manager').fetch();
+        })
+        .then(function() { res.end('ok'); });
+      })
+      .then(function(queries) { expect(queries.length).to.eql(6); })
+      .then(done, done);
+    });
+
+    it('uses the transaction for through relations', function(done) {
+      transactional(function(req, res, User) {
+        return User.objects.find(2).then(function(user) {
+          return user.commentObjects.fetch();
+        })
+        .then(function() { res.end('ok'); });
+      })
+      .then(function(queries) {
+        expect(queries[1]).to.match(/INNER JOIN "articles"/);
+      })
+      .then(done, done);
+    });
+
+    it('uses the transaction for many-to-many', function(done) {
+      transactional(function(req, res, Article, Tag) {
+        var article;
+        return Article.objects.find(1).then(function(result) {
+          article = result;
+          return article.tagObjects.fetch();
+        })
+        .then(function() {
+          return Tag.objects.find(4);
+        })
+        .tap(function(tag) { return tag.articleObjects.fetch(); })
+        .tap(function(tag) { return article.addTag(tag); })
+        .tap(function(tag) { return article.removeTag(tag); })
+        .then(function() { return article.clearTags(); })
+        .then(function() { return article.createTag({ name: 'New' }); })
+        .then(function() { return article.save(); })
+        .then(function() { res.end('ok'); });
+      })
+      .then(function(queries) {
+        expect(queries).to.include(
+          'INSERT INTO "articles_tags" ("article_id", "tag_id") VALUES (?, ?)');
+        expect(queries).to.include(
+          'DELETE FROM "articles_tags" WHERE "article_id" = ? AND "tag_id" = ?');
+        expect(queries).to.include(
+          'DELETE FROM "articles_tags" WHERE "article_id" = ?');
+      })
+      .then(done, done);
+    });
+
+    it('uses the transaction for relations defined later', function(done) {
+      transactional(function(req, res, Article) {
+        return Article.objects.find(1).then(function(article) {
+          return article.fetchAuthor();
+        })
+        .then(function() { res.end('ok'); });
+      })
+      .then(function() {
+        db.model('article').reopen({ editor: db.belongsTo('user') });
+        adapter.respond(/select.*from "articles"/i,
+          [{ id: 1, title: 'Title', 'author_id': 2, 'editor_id': 2 }]);
+        return transactional(function(req, res, Article) {
+          return Article.objects.find(1).tap(function(article) {
+            return article.fetchEditor();
+          })
+          .then(function(article) {
+            expect(article.editor.name).to.eql('Name');
+            return Article.objects.with('editor').fetch();
+          })
+          .then(function() { res.end('ok'); });
+        });
+      })
+      .then(function(queries) {
+        expect(queries[3]).to.eql('SELECT * FROM "users" WHERE "id" = ? LIMIT 1');
+      })
+      .then(done, done);
+    });
+
+    it('binds relations listed on models', function(done) {
+      transactional(function(req, res, Article, User) {
+        var relations = Article.relations;
+        expect(relations.author._relatedModel).to.equal(User);
+        expect(Article.authorRelation).to.equal(relations.author);
+        expect(Article._authorRelation).to.equal(relations.author);
+        expect(relations.author.configured()).to.equal(relations.author);
+        expect(Article.__super__.relations).to.equal(db.model('article').relations);
+        expect(db.model('article').relations.author._relatedModel)
+          .to.equal(db.model('user'));
+        res.end('ok');
+      })
+      .then(function() { done(); }, done);
+    });
+  });
+
+  describe('router', function() {
+    beforeEach(function() {
+      _.extend(req, { method: 'GET', url: '/articles/1' });
+    });
+
+    it('creates an express router', function() {
+      var router = ae.router();
+      expect(router).to.be.a('function');
+      expect(router.stack).to.eql([]);
+    });
+
+    it('wraps handlers', function(done) {
+      var router = ae.router();
+      router.get('/articles/:id', function(req, res, query, Article) {
+        return Article.objects.fetch().then(function() { res.end(); });
+      });
+
+      router(req, res, next);
+      res._end.wait.then(function() {
+        expect(adapter.executed).to.eql(['SELECT * FROM "articles"']);
+      })
+      .then(done, done);
+    });
+
+    it('uses defaults for wrapping', function(done) {
+      var router = ae.router({ transaction: true, readOnly: true });
+      router.all('/articles/:id', function(req, res, query) {
+        return query.select('articles').then(function() { res.end(); });
+      });
+
+      router(req, res, next);
+      res._end.wait.then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SET TRANSACTION READ ONLY',
+          'SELECT * FROM "articles"',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('wraps arrays of handlers & middleware', function(done) {
+      var router = ae.router({ transaction: true });
+      router.use(function(req, res, next, query) {
+        query.select('authors').then(function() { next(); });
+      });
+      router.get('/articles/:id', [function(req, res, query) {
+        return query.select('articles').then(function() { res.end(); });
+      }]);
+
+      router(req, res, next);
+      res._end.wait.then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SELECT * FROM "authors"',
+          'SELECT * FROM "articles"',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('wraps handlers for routes', function(done) {
+      var router = ae.router();
+      router.route('/articles/:id').get(function(req, res, query) {
+        return query.select('articles').then(function() { res.end(); });
+      });
+
+      router(req, res, next);
+      res._end.wait.then(function() {
+        expect(adapter.executed).to.eql(['SELECT * FROM "articles"']);
+      })
+      .then(done, done);
+    });
+
+    it('wraps param handlers', function(done) {
+      var router = ae.router({ transaction: true });
+      router.param('id', function(req, res, next, query) {
+        query.select('articles').where({ id: req.params.id }).then(function() {
+          next();
+        });
+      });
+      router.get('/articles/:id', function(req, res) {
+        res.end();
+      });
+
+      router(req, res, next);
+      res._end.wait.then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          ['SELECT * FROM "articles" WHERE "id" = ?', ['1']],
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('detects error handlers', function(done) {
+      var error = new Error('Expected');
+      var router = ae.router({ transaction: true });
+      router.get('/articles/:id', function(req, res, next) {
+        next(error);
+      });
+      router.use(function(err, req, res, next, query) {
+        query; // use all params (jshint)
+        next(err);
+      });
+
+      router(req, res, next);
+      next.wait.then(function() {
+        expect(next).to.have.been.calledWithExactly(error);
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('does not wrap routes, routers & other values', function() {
+      var route = ae.route(function(req, res) { res.end(); });
+      var nested = ae.router();
+      var router = ae.router();
+      router.get('/', route);
+      router.use('/nested', nested);
+      expect(router.stack[0].route.stack[0].handle).to.equal(route);
+      expect(router.stack[1].handle).to.equal(nested);
+    });
+
+    it('does not wrap middleware from this package', function() {
+      var middleware = [
+        ae.transaction,
+        ae.transaction({ readOnly: true }),
+        ae.rollback,
+        ae.errors(),
+        ae.idempotent(),
+        ae.timing(),
+      ];
+      var router = ae.router({ transaction: true });
+      middleware.forEach(function(fn) { router.use(fn); });
+      expect(_.pluck(router.stack, 'handle')).to.eql(middleware);
+    });
+
+    it('begins one transaction with transaction middleware', function(done) {
+      var router = ae.router({ transaction: true });
+      router.use(ae.transaction);
+      router.get('/articles/:id', function(req, res, query) {
+        return query.select('articles').then(function() { res.end(); });
+      });
+
+      router(req, res, next);
+      res._end.wait.then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SELECT * FROM "articles"',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('does not wrap bound handlers', function(done) {
+      var controller = {
+        show: function(req, res) { res.end(this.name); },
+        name: 'articles',
+      };
+      var router = ae.router();
+      router.get('/articles/:id', controller.show.bind(controller));
+
+      router(req, res, next);
+      res._end.wait.then(function() {
+        expect(res._end).to.have.been.calledWith('articles');
+      })
+      .then(done, done);
+    });
+
+    it('wraps bound handlers with declared params', function(done) {
+      var controller = {
+        show: function(req, res, query) {
+          return query.select('articles').then(function() { res.end(); });
+        },
+      };
+      var show = controller.show.bind(controller);
+      show.$inject = ['req', 'res', 'query'];
+      var router = ae.router();
+      router.get('/articles/:id', show);
+
+      router(req, res, next);
+      res._end.wait.then(function() {
+        expect(adapter.executed).to.eql(['SELECT * FROM "articles"']);
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('param', function() {
+    beforeEach(function() {
+      req.params = { article: '1' };
+      db.model('article', { title: db.attr(), slug: db.attr() });
+      adapter.respond(/select.*from "articles"/i, [{ id: 1, title: 'Azul' }]);
+    });
+
+    it('loads the record', function(done) {
+      var load = ae.param('article', 'Article');
+      load(req, res, next, '1', 'article');
+      next.wait.then(function() {
+        expect(next).to.have.been.calledWithExactly();
+        expect(req.azul.records.article.title).to.eql('Azul');
+        expect(adapter.executed).to.eql([
+          ['SELECT * FROM "articles" WHERE "id" = ? LIMIT 1', ['1']],
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('loads the record with a custom key', function(done) {
+      var load = ae.param('article', 'Article', { key: 'slug' });
+      load(req, res, next, 'azul', 'article');
+      next.wait.then(function() {
+        expect(adapter.executed).to.eql([
+          ['SELECT * FROM "articles" WHERE "slug" = ? LIMIT 1', ['azul']],
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('loads the record within the transaction', function(done) {
+      var load = ae.param('article', 'Article', { lock: 'update' });
+      ae.transaction(req, res, next);
+      next.wait.then(function() {
+        next.reset();
+        return new Promise(function(resolve) {
+          load(req, res, resolve, '1', 'article');
+        });
+      })
+      .then(function() { res.end(); return res._end.wait; })
+      .then(function() {
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          ['SELECT * FROM "articles" WHERE "id" = ? LIMIT 1 FOR UPDATE', ['1']],
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('uses shared locks for mysql', function(done) {
+      adapter.__identity__.__name__ = 'MySQLAdapter';
+      var load = ae.param('article', 'Article', { lock: 'share' });
+      load(req, res, next, '1', 'article');
+      next.wait.then(function() {
+        expect(adapter.executed[0][0]).to.match(/LOCK IN SHARE MODE$/);
+      })
+      .finally(function() { delete adapter.__identity__.__name__; })
+      .then(done, done);
+    });
+
+    it('does not lock for sqlite3', function(done) {
+      adapter.__identity__.__name__ = 'SQLite3Adapter';
+      var load = ae.param('article', 'Article', { lock: 'update' });
+      load(req, res, next, '1', 'article');
+      next.wait.then(function() {
+        expect(adapter.executed[0][0]).to.match(/LIMIT 1$/);
+      })
+      .finally(function() { delete adapter.__identity__.__name__; })
+      .then(done, done);
+    });
+
+    it('throws for unknown locks', function() {
+      expect(function() {
+        ae.param('article', 'Article', { lock: 'exclusive' });
+      }).to.throw(/unknown lock: exclusive/i);
+    });
+
+    it('calls next with a 404 error when not found', function(done) {
+      var load = ae.param('article', 'Article');
+      adapter.respond(/select.*from "articles"/i, []);
+      load(req, res, next, '2', 'article');
+      next.wait.then(function() {
+        var err = next.getCall(0).args[0];
+        expect(err).to.be.an.instanceOf(Error);
+        expect(err.message).to.match(/could not find article 2/i);
+        expect(err.status).to.eql(404);
+      })
+      .then(done, done);
+    });
+
+    it('allows custom handling when not found', function(done) {
+      var notFound = sinon.spy(function(req, res, next) { next('route'); });
+      var load = ae.param('article', 'Article', { notFound: notFound });
+      adapter.respond(/select.*from "articles"/i, []);
+      load(req, res, next, '2', 'article');
+      next.wait.then(function() {
+        expect(notFound).to.have.been.calledOnce;
+        expect(notFound.getCall(0).args.slice(3)).to.eql(['2', 'article']);
+        expect(next).to.have.been.calledWithExactly('route');
+      })
+      .then(done, done);
+    });
+
+    it('passes other errors to next', function(done) {
+      var load = ae.param('article', 'Article');
+      adapter.fail('select');
+      load(req, res, next, '1', 'article');
+      next.wait.then(function() {
+        expect(next.getCall(0).args[0].message).to.match(/intentional/i);
+      })
+      .then(done, done);
+    });
+
+    it('injects records into routes', function(done) {
+      var load = ae.param('article', 'Article');
+      var route = ae.route(function(req, res, article) {
+        res.end(article.title);
+      });
+      load(req, res, function() { route(req, res, next); }, '1', 'article');
+      res._end.wait.then(function() {
+        expect(res._end).to.have.been.calledWithExactly('Azul');
+      })
+      .then(done, done);
+    });
+
+    it('injects undefined for records that were not loaded', function(done) {
+      ae.param('article', 'Article');
+      var route = ae.route(function(req, res, article) {
+        res.end(article);
+      });
+      route(req, res, next);
+      res._end.wait.then(function() {
+        expect(res._end).to.have.been.calledWithExactly(undefined);
+      })
+      .then(done, done);
+    });
+
+    it('works with routers', function(done) {
+      var router = ae.router({ transaction: true });
+      _.extend(req, { method: 'GET', url: '/articles/1' });
+      router.param('article', ae.param('article', 'Article', {
+        transaction: true,
+      }));
+      router.get('/articles/:article', function(req, res, article) {
+        res.end(article.title);
+      });
+
+      router(req, res, next);
+      res._end.wait.then(function() {
+        expect(res._end).to.have.been.calledWithExactly('Azul');
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          ['SELECT * FROM "articles" WHERE "id" = ? LIMIT 1', ['1']],
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('providers', function() {
+    var currentUser;
+
+    beforeEach(function() {
+      db.model('user', { name: db.attr() });
+      adapter.respond(/select.*from "users"/i, [{ id: 1, name: 'Whitney' }]);
+      currentUser = sinon.spy(function(req, query, models) {
+        return models.User.objects.find(1);
+      });
+      ae.provide('currentUser', currentUser);
+    });
+
+    it('injects provided values', function(done) {
+      ae.provide('locale', function() { return 'en'; });
+      var route = ae.route(function(req, res, query, locale) {
+        expect(query).to.equal(req.azul.query);
+        res.end(locale);
+      });
+
+      route(req, res, next).then(function() {
+        expect(res._end).to.have.been.calledWithExactly('en');
+      })
+      .then(done, done);
+    });
+
+    it('resolves promises within the transaction', function(done) {
+      var route = ae.route(function(req, res, currentUser) {
+        res.end(currentUser.name);
+      }, { transaction: true });
+
+      route(req, res, next).then(function() {
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(res._end).to.have.been.calledWithExactly('Whitney');
+        expect(currentUser).to.have.been.calledWithExactly(req,
+          req.azul.query, req.azul.models, sinon.match.func);
+        expect(adapter.clients.length).to.eql(1);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          ['SELECT * FROM "users" WHERE "id" = ? LIMIT 1', [1]],
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('only calls providers that are used', function(done) {
+      var route = ae.route(function(req, res, query) {
+        return query.select('articles');
+      });
+
+      route(req, res, next).then(function() {
+        expect(currentUser).to.not.have.been.called;
+        expect(adapter.executed).to.eql(['SELECT * FROM "articles"']);
+      })
+      .then(done, done);
+    });
+
+    it('calls providers once per request', function(done) {
+      var first = ae.route(function(req, res, next, currentUser) {
+        currentUser; // use all params (jshint)
+        next();
+      });
+      var second = ae.route(function(req, res, currentUser) {
+        res.end(currentUser.name);
+      });
+
+      first(req, res, function() { second(req, res, next); });
+      res._end.wait.then(function() {
+        expect(currentUser).to.have.been.calledOnce;
+
+        var other = {};
+        return second(other, { end: _.noop }, next);
+      })
+      .then(function() {
+        expect(currentUser).to.have.been.calledTwice;
+      })
+      .then(done, done);
+    });
+
+    it('allows providers to depend on each other', function(done) {
+      ae.provide('greeting', function(req) {
+        return req.azul.resolve('currentUser').then(function(user) {
+          return 'Hello, ' + user.name;
+        });
+      });
+      var route = ae.route(function(req, res, greeting, currentUser) {
+        res.end(greeting + ' (' + currentUser.id + ')');
+      });
+
+      route(req, res, next).then(function() {
+        expect(res._end).to.have.been.calledWithExactly('Hello, Whitney (1)');
+        expect(currentUser).to.have.been.calledOnce;
+      })
+      .then(done, done);
+    });
+
+    it('rejects circular providers', function(done) {
+      ae.provide('a', function(req) { return req.azul.resolve('b'); });
+      ae.provide('b', function(req) { return req.azul.resolve('a'); });
+      var route = ae.route(function(req, res, next, a) {
+        a; // use all params (jshint)
+        res.end();
+      });
+
+      route(req, res, next);
+      next.wait.then(function() {
+        expect(next.getCall(0).args[0])
+          .to.match(/circular providers: a -> b -> a/i);
+        expect(res._end).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('rejects circular providers that resolve asynchronously', function(done) {
+      ae.provide('first', function(req, query, models, resolve) {
+        return Promise.delay(1).then(function() { return resolve('second'); });
+      });
+      ae.provide('second', function(req, query, models, resolve) {
+        return resolve('first');
+      });
+      var route = ae.route(function(req, res, next, first) {
+        first; // use all params (jshint)
+        res.end();
+      });
+
+      route(req, res, next);
+      next.wait.then(function() {
+        expect(next.getCall(0).args[0])
+          .to.match(/circular providers: first -> second -> first/i);
+        expect(res._end).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('rejects longer cycles of providers', function(done) {
+      ae.provide('a', function(req, query, models, resolve) {
+        return Promise.join(resolve('b'), resolve('c'));
+      });
+      ae.provide('b', function(req, query, models, resolve) {
+        return Promise.delay(1).then(function() { return resolve('c'); });
+      });
+      ae.provide('c', function(req, query, models, resolve) {
+        return Promise.delay(2).then(function() { return resolve('a'); });
+      });
+      var route = ae.route(function(req, res, next, a) {
+        a; // use all params (jshint)
+        res.end();
+      });
+
+      route(req, res, next);
+      next.wait.then(function() {
+        expect(next.getCall(0).args[0])
+          .to.match(/circular providers: a -> b -> c -> a/i);
+      })
+      .then(done, done);
+    });
+
+    it('allows providers to share dependencies', function(done) {
+      ae.provide('name', function(req, query, models, resolve) {
+        return resolve('currentUser').get('name');
+      });
+      ae.provide('greeting', function(req, query, models, resolve) {
+        return Promise.join(resolve('name'), resolve('currentUser'),
+          function(name, user) { return 'Hello, ' + name + ' (' + user.id + ')'; });
+      });
+      var route = ae.route(function(req, res, greeting) {
+        res.end(greeting);
+      });
+
+      route(req, res, next).then(function() {
+        expect(res._end).to.have.been.calledWithExactly('Hello, Whitney (1)');
+        expect(currentUser).to.have.been.calledOnce;
+      })
+      .then(done, done);
+    });
+
+    it('rejects unknown providers', function(done) {
+      var route = ae.route(function(req, res) {
+        res; // use all params (jshint)
+        return req.azul.resolve('unknown');
+      });
+
+      route(req, res, next);
+      next.wait.then(function() {
+        expect(next.getCall(0).args[0]).to.match(/unknown provider: unknown/i);
+      })
+      .then(done, done);
+    });
+
+    it('rolls back when a provider fails', function(done) {
+      ae.provide('failure', function() { throw new Error('provider failure'); });
+      var route = ae.route(function(req, res, next, failure) {
+        failure; // use all params (jshint)
+        res.end();
+      }, { transaction: true });
+
+      route(req, res, next);
+      next.wait.then(function() {
+        expect(next.getCall(0).args[0]).to.match(/provider failure/i);
+        expect(res._end).to.not.have.been.called;
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('takes precedence over models', function(done) {
+      ae.provide('Tenant', function() { return { name: 'azul' }; });
+      var route = ae.route(function(req, res, Tenant) {
+        res.end(Tenant.name);
+      });
+
+      route(req, res, next).then(function() {
+        expect(res._end).to.have.been.calledWithExactly('azul');
+      })
+      .then(done, done);
+    });
+
+    it('can be injected by mapping', function(done) {
+      var route = ae.route(function(req, res, next, user) {
+        res.end(user.name);
+      }, { inject: [{ user: 'currentUser' }] });
+
+      route(req, res, next).then(function() {
+        expect(res._end).to.have.been.calledWithExactly('Whitney');
+      })
+      .then(done, done);
+    });
+
+    it('must be functions', function() {
+      expect(function() { ae.provide('locale', 'en'); })
+        .to.throw(/provider must be a function: locale/i);
+    });
+  });
+
+  describe('events', function() {
+    var events;
+
+    beforeEach(function() {
+      events = {};
+      ['begin', 'commit', 'rollback', 'commitError', 'rollbackError', 'query']
+      .forEach(function(name) {
+        ae.on(name, events[name] = sinon.spy());
+      });
+    });
+
+    var begin = function() {
+      var setup = pspy();
+      ae.transaction(req, res, setup);
+      return setup.wait.return();
+    };
+
+    it('emits begin', function(done) {
+      begin().then(function() {
+        var details = events.begin.getCall(0).args[0];
+        expect(events.begin).to.have.been.calledOnce;
+        expect(details.req).to.equal(req);
+        expect(details.transaction).to.equal(req.azul.transaction);
+        expect(details.duration).to.be.a('number');
+      })
+      .then(done, done);
+    });
+
+    it('emits commit', function(done) {
+      begin().then(function() {
+        res.end();
+        return res._end.wait;
+      })
+      .then(function() {
+        var details = events.commit.getCall(0).args[0];
+        expect(events.commit).to.have.been.calledOnce;
+        expect(events.rollback).to.not.have.been.called;
+        expect(details.req).to.equal(req);
+        expect(details.transaction).to.equal(req.azul.transaction);
+        expect(details.duration).to.be.a('number');
+        expect(details.elapsed).to.be.at.least(details.duration);
+      })
+      .then(done, done);
+    });
+
+    it('emits rollback', function(done) {
+      begin().then(function() {
+        return res.azul.rollback();
+      })
+      .then(function() {
+        var details = events.rollback.getCall(0).args[0];
+        expect(events.rollback).to.have.been.calledOnce;
+        expect(events.commit).to.not.have.been.called;
+        expect(details.transaction).to.equal(req.azul.transaction);
+      })
+      .then(done, done);
+    });
+
+    it('emits commitError', function(done) {
+      adapter.fail('COMMIT');
+      begin().then(function() {
+        return res.azul.commit();
+      })
+      .then(function() {
+        var details = events.commitError.getCall(0).args[0];
+        expect(events.commit).to.not.have.been.called;
+        expect(details.req).to.equal(req);
+        expect(details.error).to.match(/intentional failure for commit/i);
+        expect(details.elapsed).to.be.a('number');
+      })
+      .then(done, done);
+    });
+
+    it('emits rollbackError', function(done) {
+      adapter.fail('ROLLBACK');
+      begin().then(function() {
+        return res.azul.rollback();
+      })
+      .then(function() {
+        var details = events.rollbackError.getCall(0).args[0];
+        expect(events.rollback).to.not.have.been.called;
+        expect(details.error).to.match(/intentional failure for rollback/i);
+      })
+      .then(done, done);
+    });
+
+    it('emits query for the query & models of the request', function(done) {
+      var route = ae.route(function(req, res, query, Article) {
+        return query.select('comments').then(function() {
+          return Article.objects.where({ pk: 1 }).fetch();
+        });
+      });
+
+      begin().then(function() {
+        return route(req, res, next);
+      })
+      .then(function() {
+        var details = events.query.args.map(_.first);
+        expect(_.pluck(details, 'sql')).to.eql([
+          'SELECT * FROM "comments"',
+          'SELECT * FROM "articles" WHERE "id" = ?',
+        ]);
+        expect(details[1].args).to.eql([1]);
+        expect(details[1].req).to.equal(req);
+        expect(details[1].transaction).to.equal(req.azul.transaction);
+        expect(details[1].duration).to.be.a('number');
+      })
+      .then(done, done);
+    });
+
+    it('does not emit query for other queries', function(done) {
+      begin().then(function() {
+        return db.query.select('comments');
+      })
+      .then(function() {
+        expect(events.query).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('query log', function() {
+
+    it('records statements for the request', function(done) {
+      var route = ae.route(function(req, res, query, Article) {
+        return query.select('comments').then(function() {
+          return Article.objects.where({ pk: 1 }).fetch();
+        });
+      });
+
+      route(req, res, next).then(function() {
+        var queries = req.azul.queries;
+        expect(queries.length).to.eql(2);
+        expect(_.omit(queries[0], 'duration')).to.eql({
+          database: 'default',
+          sql: 'SELECT * FROM "comments"',
+          args: [],
+        });
+        expect(_.omit(queries[1], 'duration')).to.eql({
+          database: 'default',
+          sql: 'SELECT * FROM "articles" WHERE "id" = ?',
+          args: [1],
+        });
+        expect(queries[1].duration).to.be.a('number');
+      })
+      .then(done, done);
+    });
+
+    it('records statements within transactions', function(done) {
+      var route = ae.route(function(req, res, query) {
+        return query.select('comments');
+      }, { transaction: true });
+
+      route(req, res, next).then(function() {
+        expect(_.pluck(req.azul.queries, 'sql')).to.eql([
+          'SELECT * FROM "comments"',
+        ]);
+        expect(adapter.executed).to.eql(['BEGIN', 'SELECT * FROM "comments"']);
+      })
+      .then(done, done);
+    });
+
+    it('records failed statements', function(done) {
+      var route = ae.route(function(req, res, query) {
+        return query.select('comments');
+      });
+
+      adapter.fail('select');
+      route(req, res, next).then(function() {
+        var error = next.getCall(0).args[0];
+        expect(req.azul.queries.length).to.eql(1);
+        expect(req.azul.queries[0].error).to.equal(error);
+      })
+      .then(done, done);
+    });
+
+    it('keeps records when routes are retried', function(done) {
+      var attempts = 0;
+      var route = ae.route(function(req, res, query) {
+        return query.select('comments').then(function() {
+          if (++attempts === 1) {
+            throw _.extend(new Error('conflict'), { code: '40001' });
+          }
+          res.end();
+        });
+      }, { transaction: true, retry: true });
+
+      route(req, res, next);
+      res._end.wait.then(function() {
+        expect(_.pluck(req.azul.queries, 'sql')).to.eql([
+          'SELECT * FROM "comments"',
+          'SELECT * FROM "comments"',
+        ]);
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('timing', function() {
+    var headers;
+
+    beforeEach(function() {
+      headers = {};
+      res.getHeader = function(name) { return headers[name.toLowerCase()]; };
+      res.setHeader = function(name, value) {
+        headers[name.toLowerCase()] = value;
+      };
+    });
+
+    var timing = function(options) {
+      var setup = pspy();
+      ae.timing(options)(req, res, setup);
+      return setup.wait.return();
+    };
+
+    it('adds server timing for statements', function(done) {
+      var route = ae.route(function(req, res, query, Article) {
+        return query.select('comments').then(function() {
+          return Article.objects.fetch();
+        })
+        .then(function() { res.writeHead(200); });
+      });
+
+      timing().then(function() { return route(req, res, next); })
+      .then(function() {
+        expect(headers['server-timing']).to.match(/^db;dur=\d+;desc="2 queries"$/);
+        expect(headers['x-azul-queries']).to.not.exist;
+        expect(res._writeHead).to.have.been.calledWithExactly(200);
+      })
+      .then(done, done);
+    });
+
+    it('adds server timing when nothing was run', function(done) {
+      timing().then(function() {
+        res.writeHead(204);
+        expect(headers['server-timing']).to.eql('db;dur=0;desc="0 queries"');
+      })
+      .then(done, done);
+    });
+
+    it('includes the transaction duration', function(done) {
+      var setup = pspy();
+      timing().then(function() {
+        ae.transaction(req, res, setup);
+        return setup.wait;
+      })
+      .then(function() {
+        res.writeHead(200);
+        expect(headers['server-timing']).to.not.exist; // deferred
+        return res._writeHead.wait;
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        expect(headers['server-timing'])
+          .to.match(/^db;dur=0;desc="0 queries", transaction;dur=\d+$/);
+      })
+      .then(done, done);
+    });
+
+    it('appends to existing server timing', function(done) {
+      headers['server-timing'] = 'app;dur=5';
+      timing().then(function() {
+        res.writeHead(200);
+        expect(headers['server-timing'])
+          .to.eql('app;dur=5, db;dur=0;desc="0 queries"');
+      })
+      .then(done, done);
+    });
+
+    it('adds headers only once', function(done) {
+      timing().then(function() {
+        res.writeHead(200);
+        headers['server-timing'] = 'reset';
+        res.writeHead(200);
+        expect(headers['server-timing']).to.eql('reset');
+        expect(res._writeHead).to.have.been.calledTwice;
+      })
+      .then(done, done);
+    });
+
+    it('adds the queries when debugging', function(done) {
+      var route = ae.route(function(req, res, query) {
+        return query.raw('SELECT \'caf\u00e9\'', ['secret']).then(function() {
+          res.writeHead(200);
+        });
+      });
+
+      timing({ debug: true }).then(function() { return route(req, res, next); })
+      .then(function() {
+        var header = headers['x-azul-queries'];
+        expect(header).to.match(/^[\x20-\x7e]+$/);
+        expect(header).to.not.match(/secret/);
+        expect(JSON.parse(header)).to.eql([{
+          sql: 'SELECT \'caf\u00e9\'',
+          duration: req.azul.queries[0].duration,
+        }]);
+      })
+      .then(done, done);
+    });
+
+    it('adds the queries by default in development', function(done) {
+      var env = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'development';
+      timing().finally(function() {
+        if (env === undefined) { delete process.env.NODE_ENV; }
+        else { process.env.NODE_ENV = env; }
+      })
+      .then(function() {
+        res.writeHead(200);
+        expect(headers['x-azul-queries']).to.eql('[]');
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('with multiple databases', function() {
+    var auditAdapter, auditDB;
+
+    beforeEach(function() {
+      auditAdapter = Adapter.create();
+      auditDB = azul.Database.create({ adapter: auditAdapter });
+      auditDB.model('event', { action: auditDB.attr() });
+      ae = azulExpress({ main: db, audit: auditDB });
+    });
+
+    var begin = function(options) {
+      var setup = pspy();
+      ae.transaction(options)(req, res, setup);
+      return setup.wait;
+    };
+
+    it('injects queries & models for each database', function(done) {
+      var route = ae.route(function(req, res, query, auditQuery, Article, Audit$Event) {
+        return query.select('articles').then(function() {
+          return auditQuery.select('logs');
+        })
+        .then(function() {
+          return Article.objects.fetch();
+        })
+        .then(function() {
+          return Audit$Event.objects.fetch();
+        });
+      });
+
+      route(req, res, next).then(function() {
+        expect(adapter.executed).to.eql([
+          'SELECT * FROM "articles"',
+          'SELECT * FROM "articles"',
+        ]);
+        expect(auditAdapter.executed).to.eql([
+          'SELECT * FROM "logs"',
+          'SELECT * FROM "events"',
+        ]);
+        expect(_.pluck(req.azul.queries, 'database'))
+          .to.eql(['main', 'audit', 'main', 'audit']);
+      })
+      .then(done, done);
+    });
+
+    it('uses transactions for each database', function(done) {
+      auditAdapter.respond(/insert/i, [{ id: 1 }]);
+      begin().then(function() {
+        var databases = req.azul.databases;
+        expect(databases.main.transaction).to.exist;
+        expect(databases.audit.transaction).to.exist;
+        expect(req.azul.transaction).to.equal(databases.main.transaction);
+        expect(req.azul.query).to.equal(databases.main.query);
+        expect(adapter.executed).to.eql(['BEGIN']);
+        expect(auditAdapter.executed).to.eql(['BEGIN']);
+        return ae.route(function(req, res, Audit$Event) {
+          return Audit$Event.create({ action: 'view' }).save()
+          .then(function() { res.end(); });
+        })(req, res, next);
+      })
+      .then(function() { return res._end.wait; })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        expect(auditAdapter.executed).to.eql([
+          'BEGIN',
+          ['INSERT INTO "events" ("action") VALUES (?) RETURNING "id"', ['view']],
+          'COMMIT',
+        ]);
+        expect(auditAdapter.clients.length).to.eql(1);
+      })
+      .then(done, done);
+    });
+
+    it('rolls back each database', function(done) {
+      begin().then(function() { return res.azul.rollback(); })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        expect(auditAdapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('uses transactions for specific databases', function(done) {
+      begin({ databases: ['audit'] }).then(function() {
+        expect(req.azul.transaction).to.not.exist;
+        expect(req.azul.databases.audit.transaction).to.exist;
+        res.end();
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql([]);
+        expect(auditAdapter.executed).to.eql(['BEGIN', 'COMMIT']);
+      })
+      .then(done, done);
+    });
+
+    it('rolls back the rest when a commit fails', function(done) {
+      var commitError = sinon.spy();
+      var rollback = sinon.spy();
+      ae.on('commitError', commitError);
+      ae.on('rollback', rollback);
+      adapter.fail('COMMIT');
+      var setup = pspy();
+      next = pspy();
+      ae.transaction(req, res, function(err) { return err ? next(err) : setup(); });
+      setup.wait.then(function() {
+        res.end();
+        return next.wait;
+      })
+      .then(function() {
+        expect(next.getCall(0).args[0]).to.match(/intentional failure for commit/i);
+        expect(auditAdapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        expect(commitError).to.have.been.calledOnce;
+        expect(commitError.getCall(0).args[0].database).to.eql('main');
+        expect(rollback.getCall(0).args[0].database).to.eql('audit');
+      })
+      .then(done, done);
+    });
+
+    it('does not retry when a later commit fails', function(done) {
+      auditAdapter.fail('COMMIT', { code: '40001' });
+      var spy = pspy(function(req, res) { res.end(); });
+      var route = ae.route(spy, { transaction: true, retry: true });
+
+      route(req, res, next).then(function() {
+        return next.wait;
+      })
+      .then(function() {
+        expect(spy).to.have.been.calledOnce;
+        expect(next.getCall(0).args[0].code).to.eql('40001');
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+      })
+      .then(done, done);
+    });
+
+    it('rolls back begun transactions when one cannot begin', function(done) {
+      auditAdapter.fail('BEGIN');
+      ae.transaction(req, res, next);
+      next.wait.then(function() {
+        expect(next.getCall(0).args[0]).to.match(/intentional failure for begin/i);
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('ignores rollback failures when one cannot begin', function(done) {
+      auditAdapter.fail('BEGIN');
+      adapter.fail('ROLLBACK');
+      ae.transaction(req, res, next);
+      next.wait.then(function() {
+        expect(next.getCall(0).args[0]).to.match(/intentional failure for begin/i);
+      })
+      .then(done, done);
+    });
+
+    it('rejects unknown databases', function() {
+      expect(function() {
+        ae.route(function(req, res, Log$Event) { res.end(Log$Event); });
+      }).to.throw(/unknown database: log/i);
+      expect(function() {
+        ae.transaction({ databases: ['log'] });
+      }).to.throw(/unknown database: log/i);
+    });
+  });
+
+  describe('with replicas', function() {
+    var replicaAdapters, replicas, headers, select;
+
+    beforeEach(function() {
+      replicaAdapters = [Adapter.create(), Adapter.create()];
+      replicas = _.map(replicaAdapters, function(adapter) {
+        return azul.Database.create({ adapter: adapter });
+      });
+      headers = {};
+      req.method = 'GET';
+      res.getHeader = function(name) { return headers[name.toLowerCase()]; };
+      res.setHeader = function(name, value) { headers[name.toLowerCase()] = value; };
+      ae = azulExpress(db, { replicas: replicas, primaryWindow: 5000 });
+    });
+
+    beforeEach(function() {
+      select = ae.route(function(req, res, query) {
+        return query.select('articles').then(function() { res.end(); });
+      });
+    });
+
+    it('reads from replicas in turn', function(done) {
+      select(req, res, next)
+      .then(function() { return select({ method: 'GET' }, res, next); })
+      .then(function() { return select({ method: 'HEAD' }, res, next); })
+      .then(function() {
+        expect(adapter.executed).to.eql([]);
+        expect(replicaAdapters[0].executed).to.eql([
+          'SELECT * FROM "articles"',
+          'SELECT * FROM "articles"',
+        ]);
+        expect(replicaAdapters[1].executed).to.eql([
+          'SELECT * FROM "articles"',
+        ]);
+        expect(req.azul.queries[0].sql).to.eql('SELECT * FROM "articles"');
+      })
+      .then(done, done);
+    });
+
+    it('binds models to replicas', function(done) {
+      ae.route(function(req, res, Article) {
+        return Article.objects.fetch().then(function() { res.end(); });
+      })(req, res, next)
+      .then(function() {
+        expect(adapter.executed).to.eql([]);
+        expect(replicaAdapters[0].executed).to.eql([
+          'SELECT * FROM "articles"',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('accepts a custom strategy', function(done) {
+      var chooseReplica = sinon.spy(function(replicas) { return replicas[1]; });
+      ae = azulExpress(db, { replicas: replicas, chooseReplica: chooseReplica });
+      ae.route(function(req, res, query) {
+        return query.select('articles').then(function() { res.end(); });
+      })(req, res, next)
+      .then(function() {
+        expect(chooseReplica).to.have.been.calledWithExactly(replicas, req);
+        expect(replicaAdapters[1].executed).to.eql([
+          'SELECT * FROM "articles"',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('uses the primary for transactions', function(done) {
+      ae.transaction(req, res, next);
+      next.wait.then(function() {
+        return req.azul.query.select('articles');
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'SELECT * FROM "articles"']);
+        expect(replicaAdapters[0].executed).to.eql([]);
+      })
+      .then(done, done);
+    });
+
+    it('uses the primary for other methods without a transaction', function(done) {
+      var insert = ae.route(function(req, res, query) {
+        return query.insert('articles', { title: 'Azul' })
+        .then(function() { res.end(); });
+      });
+      req.method = 'POST';
+      insert(req, res, next)
+      .then(function() { return insert({}, res, next); })
+      .then(function() {
+        expect(adapter.executed).to.eql([
+          ['INSERT INTO "articles" ("title") VALUES (?)', ['Azul']],
+          ['INSERT INTO "articles" ("title") VALUES (?)', ['Azul']],
+        ]);
+        expect(replicaAdapters[0].executed).to.eql([]);
+        expect(replicaAdapters[1].executed).to.eql([]);
+      })
+      .then(done, done);
+    });
+
+    it('can switch to the primary', function(done) {
+      ae.route(function(req, res, query) {
+        return query.select('articles').then(function() {
+          req.azul.usePrimary();
+          return req.azul.query.select('comments');
+        })
+        .then(function() { res.end(); });
+      })(req, res, next)
+      .then(function() {
+        expect(req.azul.primary).to.be.true;
+        expect(replicaAdapters[0].executed).to.eql([
+          'SELECT * FROM "articles"',
+        ]);
+        expect(adapter.executed).to.eql(['SELECT * FROM "comments"']);
+        expect(_.pluck(req.azul.queries, 'sql')).to.eql([
+          'SELECT * FROM "articles"',
+          'SELECT * FROM "comments"',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('can use the primary before querying', function(done) {
+      ae.route(function(req, res) {
+        req.azul.usePrimary();
+        req.azul.usePrimary();
+        return req.azul.query.select('articles').then(function() {
+          res.end();
+        });
+      })(req, res, next)
+      .then(function() {
+        expect(adapter.executed).to.eql(['SELECT * FROM "articles"']);
+        expect(replicaAdapters[0].executed).to.eql([]);
+      })
+      .then(done, done);
+    });
+
+    it('sets a cookie after writes', function(done) {
+      var now = Date.now();
+      req.method = 'POST';
+      ae.transaction(req, res, next);
+      next.wait.then(function() {
+        res.end();
+        return res._end.wait;
+      })
+      .then(function() {
+        var cookies = headers['set-cookie'];
+        expect(cookies.length).to.eql(1);
+        expect(cookies[0]).to.match(/^azul-primary=\d+; Max-Age=5; Path=\/; HttpOnly$/);
+        expect(Number(cookies[0].match(/=(\d+)/)[1]))
+          .to.be.within(now + 5000, Date.now() + 5000);
+      })
+      .then(done, done);
+    });
+
+    it('keeps existing cookies', function(done) {
+      req.method = 'POST';
+      headers['set-cookie'] = 'session=1';
+      ae.transaction(req, res, next);
+      next.wait.then(function() {
+        res.end();
+        return res._end.wait;
+      })
+      .then(function() {
+        var cookies = headers['set-cookie'];
+        expect(cookies.length).to.eql(2);
+        expect(cookies[0]).to.eql('session=1');
+        expect(cookies[1]).to.match(/^azul-primary=/);
+      })
+      .then(done, done);
+    });
+
+    it('does not set a cookie for safe methods', function(done) {
+      req.method = 'GET';
+      ae.transaction(req, res, next);
+      next.wait.then(function() {
+        res.end();
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(headers).to.not.have.property('set-cookie');
+      })
+      .then(done, done);
+    });
+
+    it('does not set a cookie without a window', function(done) {
+      ae = azulExpress(db, { replicas: replicas });
+      req.method = 'POST';
+      ae.transaction(req, res, next);
+      next.wait.then(function() {
+        res.end();
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(headers).to.not.have.property('set-cookie');
+      })
+      .then(done, done);
+    });
+
+    it('does not set a cookie on rollback', function(done) {
+      req.method = 'POST';
+      ae.transaction(req, res, next);
+      next.wait.then(function() {
+        return res.azul.rollback();
+      })
+      .then(function() {
+        expect(headers).to.not.have.property('set-cookie');
+      })
+      .then(done, done);
+    });
+
+    it('reads from the primary within the cookie window', function(done) {
+      req.headers = { cookie: 'a=b; azul-primary=' + (Date.now() + 5000) };
+      select(req, res, next).then(function() {
+        expect(adapter.executed).to.eql(['SELECT * FROM "articles"']);
+        expect(replicaAdapters[0].executed).to.eql([]);
+      })
+      .then(done, done);
+    });
+
+    it('reads from replicas after the cookie window', function(done) {
+      req.headers = { cookie: 'azul-primary=' + (Date.now() - 1) };
+      select(req, res, next).then(function() {
+        expect(adapter.executed).to.eql([]);
+        expect(replicaAdapters[0].executed).to.eql([
+          'SELECT * FROM "articles"',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('supports a custom cookie name', function(done) {
+      ae = azulExpress(db, {
+        replicas: replicas,
+        primaryWindow: 1000,
+        primaryCookie: 'sticky',
+      });
+      req.method = 'PUT';
+      ae.transaction(req, res, next);
+      next.wait.then(function() {
+        res.end();
+        return res._end.wait;
+      })
+      .then(function() {
+        expect(headers['set-cookie'][0]).to.match(/^sticky=\d+; Max-Age=1;/);
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('koa', function() {
+    var ctx, middleware;
+
+    beforeEach(function() {
+      adapter.respond(/insert/i, [{ id: 1 }]);
+      ctx = { req: req, res: res, status: 200 };
+      middleware = ae.koa();
+    });
+
+    it('commits once downstream resolves', function(done) {
+      middleware(ctx, function() {
+        expect(adapter.executed).to.eql(['BEGIN']);
+        return ctx.azul.query.select('articles');
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN', 'SELECT * FROM "articles"', 'COMMIT',
+        ]);
+        expect(adapter.clients.length).to.eql(1);
+      })
+      .then(done, done);
+    });
+
+    it('rolls back when downstream throws', function(done) {
+      middleware(ctx, function() {
+        throw new Error('downstream');
+      })
+      .then(function() { throw new Error('Expected rejection'); })
+      .catch(function(e) {
+        expect(e.message).to.eql('downstream');
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('can be created without an instance', function(done) {
+      middleware = azulExpress.koa(db, { readOnly: true });
+      middleware(ctx, function() {
+        return ctx.azul.query.select('articles');
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN', 'SET TRANSACTION READ ONLY',
+          'SELECT * FROM "articles"', 'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('rolls back when the status is an error', function(done) {
+      middleware(ctx, function() { ctx.status = 422; })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('accepts a custom commit decision', function(done) {
+      middleware = ae.koa({ commitWhen: _.constant(true) });
+      middleware(ctx, function() { ctx.status = 422; })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+      })
+      .then(done, done);
+    });
+
+    it('provides bound models', function(done) {
+      db.model('article', { title: db.attr() });
+      middleware(ctx, function() {
+        var Article = ctx.azul.model('Article');
+        expect(Article).to.satisfy(isBound('article'));
+        expect(ctx.azul.model('article')).to.equal(Article);
+        return Article.create({ title: 'Koa' }).save();
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          ['INSERT INTO "articles" ("title") VALUES (?) RETURNING "id"', ['Koa']],
+          'COMMIT',
+        ]);
+        expect(adapter.clients.length).to.eql(1);
+      })
+      .then(done, done);
+    });
+
+    it('follows the transaction policy', function(done) {
+      req.method = 'GET';
+      middleware = ae.koa({ methods: ['POST'] });
+      middleware(ctx, function() {
+        return ctx.azul.query.select('articles');
+      })
+      .then(function() {
+        expect(ctx.azul.transaction).to.not.exist;
+        expect(adapter.executed).to.eql(['SELECT * FROM "articles"']);
+      })
+      .then(done, done);
+    });
+
+    it('accepts a predicate as the policy', function(done) {
+      middleware = ae.koa(_.constant(false));
+      middleware(ctx, _.noop).then(function() {
+        expect(adapter.executed).to.eql([]);
+      })
+      .then(done, done);
+    });
+
+    it('applies the transaction mode', function(done) {
+      middleware = ae.koa({ isolation: 'serializable' });
+      middleware(ctx, _.noop).then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SET TRANSACTION ISOLATION LEVEL SERIALIZABLE',
+          'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('rejects when the transaction cannot begin', function(done) {
+      var downstream = sinon.spy();
+      adapter.fail('BEGIN');
+      middleware(ctx, downstream)
+      .then(function() { throw new Error('Expected rejection'); })
+      .catch(function(e) {
+        expect(e.message).to.match(/intentional failure for begin/i);
+        expect(downstream).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('rejects when the commit fails', function(done) {
+      adapter.fail('COMMIT');
+      middleware(ctx, _.noop)
+      .then(function() { throw new Error('Expected rejection'); })
+      .catch(function(e) {
+        expect(e.message).to.match(/intentional failure for commit/i);
+      })
+      .then(done, done);
+    });
+
+    it('ignores rollback failures', function(done) {
+      adapter.fail('ROLLBACK');
+      middleware(ctx, function() { throw new Error('downstream'); })
+      .then(function() { throw new Error('Expected rejection'); })
+      .catch(function(e) {
+        expect(e.message).to.eql('downstream');
+      })
+      .then(done, done);
+    });
+  });
+
+  describe('wrapHandler', function() {
+
+    it('runs in a transaction', function(done) {
+      var handler = ae.wrapHandler(function(req, res, query) {
+        return query.select('articles').then(function() { res.end('ok'); });
+      });
+      handler(req, res);
+      res._end.wait.then(function() {
+        expect(res._end).to.have.been.calledWithExactly('ok');
+        expect(adapter.executed).to.eql([
+          'BEGIN', 'SELECT * FROM "articles"', 'COMMIT',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('responds with errors after rolling back', function(done) {
+      var handler = ae.wrapHandler(function(req, res, query) {
+        return query.select('articles').then(function() {
+          throw new Error('failed');
+        });
+      });
+      handler(req, res);
+      res._end.wait.then(function() {
+        expect(res.statusCode).to.eql(500);
+        expect(res._end).to.have.been.calledWithExactly('Internal Server Error');
+        expect(adapter.executed).to.eql([
+          'BEGIN', 'SELECT * FROM "articles"', 'ROLLBACK',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('uses the status of errors', function(done) {
+      var handler = ae.wrapHandler(function(req, res, next) {
+        next(_.extend(new Error('missing'), { status: 404 }));
+      });
+      handler(req, res);
+      res._end.wait.then(function() {
+        expect(res.statusCode).to.eql(404);
+        expect(res._end).to.have.been.calledWithExactly('Not Found');
+      })
+      .then(done, done);
+    });
+
+    it('responds with not found when continuing', function(done) {
+      var handler = ae.wrapHandler(function(req, res, next) { next(); });
+      handler(req, res);
+      res._end.wait.then(function() {
+        expect(res.statusCode).to.eql(404);
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('does not respond to errors once sent', function(done) {
+      var handler = ae.wrapHandler(function(req, res, next) {
+        res.headersSent = true;
+        next(new Error('late'));
+      });
+      handler(req, res).then(function() {
+        expect(res._end).to.not.have.been.called;
+      })
+      .then(done, done);
+    });
+
+    it('accepts an error handler', function(done) {
+      var onError = pspy();
+      var handler = ae.wrapHandler({ onError: onError }, function(req, res, next) {
+        next(new Error('handled'));
+      });
+      handler(req, res);
+      onError.wait.then(function() {
+        expect(onError).to.have.been.calledWith(sinon.match.instanceOf(Error), req, res);
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
+
+    it('accepts declared parameters & options', function(done) {
+      var handler = ae.wrapHandler(['req', 'res', 'Article'], function(a, b, c) {
+        expect(c).to.satisfy(isBound('article'));
+        b.end();
+      }, { transaction: false });
+      handler(req, res);
+      res._end.wait.then(function() {
+        expect(adapter.executed).to.eql([]);
+      })
+      .then(done, done);
+    });
+
+    it('works with a node server', function(done) {
+      var server = require('http').createServer(ae.wrapHandler(function(req, res, query) {
+        return query.select('articles').then(function() {
+          res.setHeader('Content-Type', 'text/plain');
+          res.end('done');
+        });
+      }));
+      new Promise(function(resolve) { server.listen(0, '127.0.0.1', resolve); })
+      .then(function() {
+        return new Promise(function(resolve, reject) {
+          var port = server.address().port;
+          require('http').get({ host: '127.0.0.1', port: port }, function(response) {
+            var body = '';
+            response.on('data', function(chunk) { body += chunk; });
+            response.on('end', function() { resolve([response, body]); });
+          })
+          .on('error', reject);
+        });
+      })
+      .spread(function(response, body) {
+        expect(response.statusCode).to.eql(200);
+        expect(body).to.eql('done');
+        expect(adapter.executed).to.eql([
+          'BEGIN', 'SELECT * FROM "articles"', 'COMMIT',
+        ]);
+      })
+      .finally(function() { server.close(); })
+      .then(done, done);
+    });
+  });
+
+  describe('test mode', function() {
+    beforeEach(function(done) {
+      ae.testMode().then(done, done);
+    });
+
+    var begin = function(options) {
+      var setup = pspy();
+      ae.transaction(options)(req, res, setup);
+      return setup.wait;
+    };
+
+    it('begins a transaction for the test', function() {
+      expect(adapter.executed).to.eql(['BEGIN']);
+    });
 
-      route(req, res, next).then(function() {
-        var query = spy.getCall(0).args.slice(-2)[0];
-        var Article = spy.getCall(0).args.slice(-2)[1];
-        expect(query).to.eql(req.azul.query);
-        expect(query.transaction()).to.eql(req.azul.transaction);
-        expect(Article.query).to.eql(req.azul.query);
-        expect(adapter.executed).to.eql(['BEGIN']);
+    it('saves idempotency keys within the transaction of the test', function(done) {
+      var idempotent = ae.idempotent();
+      req.method = 'POST';
+      req.headers = { 'idempotency-key': 'abc' };
+      begin().then(function() {
+        next = pspy();
+        idempotent(req, res, next);
+        return next.wait;
+      })
+      .then(function() {
+        res.end('done');
         return res._end.wait;
       })
+      .then(function() { return ae.testMode.reset(); })
       .then(function() {
         expect(adapter.clients.length).to.eql(1);
-        expect(adapter.executed).to.eql([
+        expect(_.map(adapter.executed, function(statement) {
+          return _.isArray(statement) ? statement[0] : statement;
+        })).to.eql([
           'BEGIN',
-          'SELECT * FROM "comments"',
-          'SELECT * FROM "articles"',
-          'COMMIT'
+          'SAVEPOINT AZUL_EXPRESS_TEST_1',
+          'SELECT * FROM "azul_idempotency_keys" WHERE "key" = ? LIMIT 1',
+          'INSERT INTO "azul_idempotency_keys" ("key", "created") VALUES (?, ?)',
+          'UPDATE "azul_idempotency_keys" SET "status" = ?, "headers" = ?, ' +
+            '"body" = ? WHERE "key" = ?',
+          'RELEASE SAVEPOINT AZUL_EXPRESS_TEST_1',
+          'ROLLBACK',
         ]);
       })
       .then(done, done);
     });
 
-    it('works for defining error middleware', function(done) {
-      var spy = rspy(articleErrorRoute);
-      var route = ae.route(spy, { transaction: true });
-
-      route(new Error('Error'), req, res, next).then(function() {
-        var query = spy.getCall(0).args.slice(-2)[0];
-        var Article = spy.getCall(0).args.slice(-2)[1];
-        expect(query).to.eql(req.azul.query);
-        expect(query.transaction()).to.eql(req.azul.transaction);
-        expect(Article.query).to.eql(req.azul.query);
-        expect(adapter.executed).to.eql(['BEGIN']);
+    it('uses savepoints for transactions of requests', function(done) {
+      begin().then(function() {
+        res.end();
         return res._end.wait;
       })
       .then(function() {
         expect(adapter.clients.length).to.eql(1);
-        expect(adapter.executed).to.eql(['BEGIN', 'COMMIT']);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SAVEPOINT AZUL_EXPRESS_TEST_1',
+          'RELEASE SAVEPOINT AZUL_EXPRESS_TEST_1',
+        ]);
       })
       .then(done, done);
     });
 
-    it('performs rollback if next is called with error', function(done) {
-      var error = new Error('Expected');
-      var route = ae.route(function(req, res, next, query) {
-        query; // use all params (jshint)
-        next(error);
+    it('rolls back to savepoints', function(done) {
+      var route = ae.route(function(req, res, query) {
+        return query.select('articles').then(function() {
+          res.writeHead(500);
+          res.end();
+        });
       }, { transaction: true });
 
       route(req, res, next).then(function() {
-        expect(adapter.executed).to.eql(['BEGIN']);
-        return next.wait;
+        return res._end.wait;
       })
       .then(function() {
-        expect(next).to.have.been.calledOnce;
-        expect(next).to.have.been.calledWithExactly(new Error('Expected'));
-        expect(next.getCall(0).args[0]).to.equal(error);
         expect(adapter.clients.length).to.eql(1);
-        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SAVEPOINT AZUL_EXPRESS_TEST_1',
+          'SELECT * FROM "articles"',
+          'ROLLBACK TO SAVEPOINT AZUL_EXPRESS_TEST_1',
+          'RELEASE SAVEPOINT AZUL_EXPRESS_TEST_1',
+        ]);
       })
       .then(done, done);
     });
 
-    it('performs rollback if returned promise is rejected', function(done) {
-      var error = new Error('Expected');
-      var route = ae.route(function(req, res, next, query) {
-        query; // use all params (jshint)
-        return Promise.reject(error);
-      }, { transaction: true });
-
-      route(req, res, next).then(function() {
+    it('rolls back to savepoints from the rollback middleware', function(done) {
+      var error = new Error('expected');
+      begin().then(function() {
+        ae.rollback(error, req, res, next);
         return next.wait;
       })
       .then(function() {
-        expect(next).to.have.been.calledOnce;
-        expect(next).to.have.been.calledWithExactly(new Error('Expected'));
         expect(next.getCall(0).args[0]).to.equal(error);
-        expect(adapter.clients.length).to.eql(1);
-        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SAVEPOINT AZUL_EXPRESS_TEST_1',
+          'ROLLBACK TO SAVEPOINT AZUL_EXPRESS_TEST_1',
+          'RELEASE SAVEPOINT AZUL_EXPRESS_TEST_1',
+        ]);
       })
       .then(done, done);
     });
 
-    it('performs only one rollback if rolled back manually & through error', function(done) {
+    it('nests savepoints of routes', function(done) {
       var route = ae.route(function(req, res, next, query) {
-        query; // use all params (jshint)
-        res.azul.rollback();
-        next(new Error('Expected'));
-      }, { transaction: true });
+        return query.select('articles');
+      }, { savepoint: true });
 
-      route(req, res, next).then(function() {
-        return next.wait;
+      begin().then(function() {
+        return route(req, res, next);
       })
       .then(function() {
-        expect(adapter.clients.length).to.eql(1);
-        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SAVEPOINT AZUL_EXPRESS_TEST_1',
+          'SAVEPOINT AZUL_EXPRESS_1',
+          'SELECT * FROM "articles"',
+          'RELEASE SAVEPOINT AZUL_EXPRESS_1',
+        ]);
       })
       .then(done, done);
     });
 
-    it('passes on calls to next without arguments', function(done) {
-      var route = ae.route(function(req, res, next, query) {
-        query; // use all params (jshint)
-        next();
-      }, { transaction: true });
+    it('uses a new savepoint for each request', function(done) {
+      var other = {};
+      var setup = pspy();
+      begin().then(function() {
+        ae.transaction(other, {}, setup);
+        return setup.wait;
+      })
+      .then(function() {
+        expect(req.azul.databases.default.savepoint)
+          .to.eql('AZUL_EXPRESS_TEST_1');
+        expect(other.azul.databases.default.savepoint)
+          .to.eql('AZUL_EXPRESS_TEST_2');
+      })
+      .then(done, done);
+    });
 
-      route(req, res, next).then(function() {
-        expect(adapter.executed).to.eql(['BEGIN']);
-        return next.wait;
+    it('does not apply transaction modes', function(done) {
+      begin({ isolation: 'serializable', readOnly: true }).then(function() {
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          'SAVEPOINT AZUL_EXPRESS_TEST_1',
+        ]);
+      })
+      .then(done, done);
+    });
+
+    it('runs requests without a transaction in the test', function(done) {
+      var route = ae.route(function(req, res, query) {
+        return query.select('articles');
+      });
+
+      var fixtures = ae.testMode.query();
+      fixtures.insert('articles', { title: 'Azul' }).then(function() {
+        return route(req, res, next);
       })
       .then(function() {
-        expect(next).to.have.been.calledOnce;
-        expect(next).to.have.been.calledWithExactly();
+        expect(req.azul.transaction).to.not.exist;
         expect(adapter.clients.length).to.eql(1);
-        // commit would occur on write from future middleware
-        expect(adapter.executed).to.eql(['BEGIN']);
+        expect(adapter.executed).to.eql([
+          'BEGIN',
+          ['INSERT INTO "articles" ("title") VALUES (?)', ['Azul']],
+          'SELECT * FROM "articles"',
+        ]);
       })
       .then(done, done);
     });
 
-    it('passes on calls to next with non-error', function(done) {
-      var route = ae.route(function(req, res, next, query) {
-        query; // use all params (jshint)
-        next('value');
-      }, { transaction: true });
-
-      route(req, res, next).then(function() {
-        return next.wait;
+    it('rolls back the test on reset', function(done) {
+      begin().then(function() {
+        res.end();
+        return res._end.wait;
       })
       .then(function() {
-        expect(next).to.have.been.calledOnce;
-        expect(next).to.have.been.calledWithExactly('value');
+        return ae.testMode.reset();
+      })
+      .then(function() {
+        expect(_.last(adapter.executed)).to.eql('ROLLBACK');
         expect(adapter.clients.length).to.eql(1);
-        // commit would occur on write from future middleware
-        expect(adapter.executed).to.eql(['BEGIN']);
       })
       .then(done, done);
     });
 
-    describe('when begin transaction fails', function() {
-      beforeEach(function() {
-        adapter.fail('BEGIN');
-      });
+    it('uses transactions once reset', function(done) {
+      ae.testMode.reset().then(function() {
+        return begin();
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK', 'BEGIN']);
+        expect(adapter.clients.length).to.eql(2);
+        expect(req.azul.databases.default.savepoint).to.not.exist;
+      })
+      .then(done, done);
+    });
 
-      it('calls next with error', function(done) {
-        var route = ae.route(function(req, res, query, Article) {
-          /* jshint unused: false */
-        }, { transaction: true });
+    it('can be reset when not active', function(done) {
+      ae.testMode.reset().then(function() {
+        return ae.testMode.reset();
+      })
+      .then(function() {
+        expect(adapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
+      })
+      .then(done, done);
+    });
 
-        route(req, res, next).then(function() {
-          return next.wait;
-        })
-        .then(function() {
-          expect(next).to.have.been.calledOnce;
-          expect(next.getCall(0).args[0]).to.match(/intentional failure for begin/i);
-          expect(adapter.clients.length).to.eql(0);
-          expect(adapter.executed).to.eql([]);
-        })
-        .then(done, done);
-      });
+    it('cannot be entered twice', function() {
+      expect(function() { ae.testMode(); })
+        .to.throw(/already active for database: default/i);
     });
 
-    describe('when commit transaction fails', function() {
-      beforeEach(function() {
-        adapter.fail('COMMIT');
-      });
+    it('rejects unknown databases', function() {
+      expect(function() { ae.testMode({ db: 'audit' }); })
+        .to.throw(/unknown database for test mode: audit/i);
+    });
 
-      it('calls next with error', function(done) {
-        var route = ae.route(function(req, res, query, Article) {
-          Article; // use all params (jshint)
-          res.end();
-        }, { transaction: true });
+    it('cannot give a query once reset', function(done) {
+      ae.testMode.reset().then(function() {
+        expect(function() { ae.testMode.query(); })
+          .to.throw(/not active for database: default/i);
+      })
+      .then(done, done);
+    });
 
-        route(req, res, next).then(function() {
-          return res.azul.commit();
-        })
-        .then(function() {
-          return next.wait;
-        })
-        .then(function() {
-          expect(next).to.have.been.calledOnce;
-          expect(next.getCall(0).args[0]).to.match(/intentional failure for commit/i);
-          expect(adapter.clients.length).to.eql(1);
-          expect(adapter.executed).to.eql(['BEGIN']);
+    it('leaves test mode when the test cannot begin', function(done) {
+      ae.testMode.reset().then(function() {
+        adapter.fail('begin');
+        return ae.testMode();
+      })
+      .then(function() { throw new Error('Expected failure'); })
+      .catch(function(e) {
+        expect(e.message).to.match(/intentional failure for begin/i);
+        return begin();
+      })
+      .then(function() {
+        expect(req.azul.databases.default.savepoint).to.not.exist;
+      })
+      .then(done, done);
+    });
+
+    describe('with multiple databases', function() {
+      var auditAdapter, auditDB;
+
+      beforeEach(function(done) {
+        auditAdapter = Adapter.create();
+        auditDB = azul.Database.create({ adapter: auditAdapter });
+        ae = azulExpress({ main: db, audit: auditDB });
+        ae.testMode({ db: auditDB }).return().then(done, done);
+      });
+
+      it('only uses savepoints on the given database', function(done) {
+        begin().then(function() {
+          expect(adapter.executed).to.eql(['BEGIN', 'BEGIN']);
+          expect(adapter.clients.length).to.eql(2);
+          expect(auditAdapter.executed).to.eql([
+            'BEGIN',
+            'SAVEPOINT AZUL_EXPRESS_TEST_1',
+          ]);
         })
         .then(done, done);
       });
 
-    });
-
-    describe('when rollback transaction fails', function() {
-      beforeEach(function() {
-        adapter.fail('ROLLBACK');
+      it('gives a query for the given database', function() {
+        expect(ae.testMode.query(auditDB).transaction())
+          .to.equal(ae.testMode.query('audit').transaction());
+        expect(function() { ae.testMode.query(); })
+          .to.throw(/not active for database: main/i);
       });
 
-      it('calls next with error', function(done) {
-        var route = ae.route(function(req, res, query, Article) {
-          Article; // use all params (jshint)
-          res.azul.rollback();
-        }, { transaction: true });
-
-        route(req, res, next).then(function() {
-          return res.azul.rollback();
+      it('accepts the name of a database', function(done) {
+        ae.testMode({ db: 'main' }).then(function() {
+          return begin();
         })
         .then(function() {
-          return next.wait;
-        })
-        .then(function() {
-          expect(next).to.have.been.calledOnce;
-          expect(next.getCall(0).args[0]).to.match(/intentional failure for rollback/i);
-          expect(adapter.clients.length).to.eql(1);
-          expect(adapter.executed).to.eql(['BEGIN']);
+          expect(adapter.executed).to.eql([
+            'BEGIN',
+            'BEGIN',
+            'SAVEPOINT AZUL_EXPRESS_TEST_1',
+          ]);
+          expect(adapter.clients.length).to.eql(2);
         })
         .then(done, done);
       });
 
-    });
-
-    it('works with relationships', function(done) {
-      db.model('article').reopen({
-        author: db.belongsTo(),
-        comments: db.hasMany(),
-      });
-      db.model('author', { articles: db.hasMany(), });
-      db.model('comment', { article: db.belongsTo() });
-      adapter.respond(/select \* from "authors"/i, [{ id: 5 }]);
-      adapter.respond(/select \* from "articles"/i,
-        [{ id: 1, 'author_id': 5 }]);
-
-      var route = ae.route(function(req, res, query, Article) {
-        Article.objects.find(1).tap(function(article) {
-          return article.fetchAuthor();
-        })
-        .tap(function(article) {
-          return article.commentObjects.fetch();
+      it('rolls back each database on reset', function(done) {
+        ae.testMode({ db: 'main' }).then(function() {
+          return ae.testMode.reset();
         })
         .then(function() {
-          res.end();
+          expect(adapter.executed).to.eql(['BEGIN', 'BEGIN', 'ROLLBACK']);
+          expect(auditAdapter.executed).to.eql(['BEGIN', 'ROLLBACK']);
         })
-        .catch(done);
-      }, { transaction: true });
-
-      route(req, res, next).then(function() {
-        expect(adapter.executed).to.eql(['BEGIN']);
-        return res._end.wait;
-      })
-      .then(function() {
-        expect(adapter.clients.length).to.eql(1);
-        expect(adapter.executed).to.eql([
-          'BEGIN',
-          ['SELECT * FROM "articles" WHERE "id" = ? LIMIT 1', [1]],
-          ['SELECT * FROM "authors" WHERE "id" = ? LIMIT 1', [5]],
-          ['SELECT * FROM "comments" WHERE "article_id" = ?', [1]],
-          'COMMIT'
-        ]);
-      })
-      .then(done, done);
+        .then(done, done);
+      });
     });
-
   });
 
   describe('test setup', function() {
@@ -0,0 +1,188 @@
+'use strict';
+
+var _ = require('lodash');
+var azul = require('azul');
+var assert = require('assert');
+var Promise = require('bluebird');
+
+/**
+ * An adapter that runs statements in memory so that routes can be tested
+ * without a database. Each statement is recorded in `executed` (with its
+ * arguments when it has any) & each client that ran a statement in `clients`.
+ * Statements give no rows unless a response has been set up with `respond`.
+ *
+ * @constructor Adapter
+ * @extends azul.Adapter
+ */
+var Adapter = azul.Adapter.extend(/** @lends Adapter# */ {
+  init: function() {
+    this._super.apply(this, arguments);
+    this._responders = [];
+    this.clients = [];
+    this.executed = [];
+  },
+
+  /**
+   * Fail statements that match.
+   *
+   * @param {String} sql A pattern (matched without regard to case).
+   * @param {Object} [properties] Properties to add to the error.
+   */
+  fail: function(sql, properties) {
+    var responder = function(client, sql/*, args*/) {
+      throw _.extend(new Error('Intentional failure for ' + sql), properties);
+    };
+    responder.regex = new RegExp(sql, 'i');
+    this._responders.unshift(responder);
+  },
+
+  /**
+   * Respond to statements that match with rows. Responses that are set up
+   * later take precedence.
+   *
+   * @param {RegExp} regex
+   * @param {Array.<Object>} result The rows.
+   */
+  respond: function(regex, result) {
+    var responder = function(/*client, sql, args*/) {
+      return { rows: result, fields: [] };
+    };
+    responder.regex = regex;
+    this._responders.unshift(responder);
+  },
+
+  _connect: Promise.method(function() { return { id: ++this.__identity__.cid }; }),
+  _disconnect: Promise.method(function(/*client*/) {}),
+  _execute: Promise.method(function(client, sql, args) {
+    return Promise.delay(1).bind(this).then(function() {
+      var responder = _.find(this._responders,
+        function(r) { return sql.match(r.regex); });
+      var result = responder && responder(client, sql, args);
+      this.clients = _.uniq(this.clients.concat([client]));
+      this.executed.push(args.length ? [sql, args] : sql);
+      return result || { rows: [], fields: [] };
+    });
+  }),
+}, { cid: 0 });
+
+/**
+ * Create a function that records its calls. The `wait` promise is resolved
+ * with the arguments of the first call & `calls` holds the arguments of each
+ * call. When a function is given, it is called & its source is kept so that
+ * the parameters of a spy can still be read by `route`.
+ *
+ * @param {Function} [fn]
+ * @return {Function}
+ */
+var spy = function(fn) {
+  var resolve;
+  var wait = new Promise(function() { resolve = arguments[0]; });
+  var result = function() {
+    var args = _.toArray(arguments);
+    result.calls.push(args);
+    resolve(args);
+    return fn && fn.apply(this, arguments);
+  };
+  return _.extend(result, {
+    calls: [],
+    wait: wait,
+    toString: fn ? fn.toString.bind(fn) : result.toString,
+  });
+};
+
+/**
+ * Create a fake request.
+ *
+ * @param {Object} [properties] Properties to add to the request.
+ * @return {Object}
+ */
+var request = function(properties) {
+  return _.extend({ method: 'GET', url: '/', headers: {} }, properties);
+};
+
+/**
+ * Create a fake response. Its `writeHead`, `write` & `end` record the
+ * response in `statusCode`, `headers` & `body`. Since the transaction
+ * middleware replaces these functions until the transaction is closed,
+ * `waitFor` gives a promise that is resolved once the original is called.
+ *
+ * @param {Object} [properties] Properties to add to the response.
+ * @return {Object}
+ */
+var response = function(properties) {
+  var res = {
+    statusCode: 200,
+    headers: {},
+    body: '',
+    headersSent: false,
+    finished: false,
+  };
+  var send = function(chunk) {
+    res.headersSent = true;
+    if (chunk && !_.isFunction(chunk)) { res.body += chunk; }
+  };
+  var spies = {
+    writeHead: spy(function(status, headers) {
+      res.statusCode = status;
+      _.forEach(headers, function(value, name) { res.setHeader(name, value); });
+      res.headersSent = true;
+    }),
+    write: spy(function(chunk) { send(chunk); return true; }),
+    end: spy(function(chunk) { send(chunk); res.finished = true; }),
+  };
+  return _.extend(res, spies, {
+    getHeader: function(name) { return res.headers[name.toLowerCase()]; },
+    setHeader: function(name, value) { res.headers[name.toLowerCase()] = value; },
+    removeHeader: function(name) { delete res.headers[name.toLowerCase()]; },
+    waitFor: function(name) { return spies[name].wait; },
+    spies: spies,
+  }, properties);
+};
+
+/**
+ * Get the statement that closed the last transaction run on an adapter.
+ *
+ * @param {Adapter} adapter
+ * @return {String|undefined} Either `COMMIT` or `ROLLBACK`.
+ */
+var closingStatement = function(adapter) {
+  var statements = _.map(adapter.executed, function(statement) {
+    return _.isArray(statement) ? statement[0] : statement;
+  });
+  return _.findLast(statements, function(sql) {
+    return sql === 'COMMIT' || sql === 'ROLLBACK';
+  });
+};
+
+/**
+ * Assert that the last transaction run on an adapter was committed.
+ *
+ * @param {Adapter} adapter
+ * @throws {AssertionError}
+ */
+var expectCommitted = function(adapter) {
+  assert.strictEqual(closingStatement(adapter), 'COMMIT',
+    'Expected the transaction to be committed but it was ' +
+    (closingStatement(adapter) ? 'rolled back' : 'not closed'));
+};
+
+/**
+ * Assert that the last transaction run on an adapter was rolled back.
+ *
+ * @param {Adapter} adapter
+ * @throws {AssertionError}
+ */
+var expectRolledBack = function(adapter) {
+  assert.strictEqual(closingStatement(adapter), 'ROLLBACK',
+    'Expected the transaction to be rolled back but it was ' +
+    (closingStatement(adapter) ? 'committed' : 'not closed'));
+};
+
+module.exports = {
+  Adapter: Adapter,
+  spy: spy,
+  request: request,
+  response: response,
+  expectCommitted: expectCommitted,
+  expectRolledBack: expectRolledBack,
+};